@@ -33,7 +33,8 @@ Options:
 	--odm_path <path>	Path to ODM's code	(default: /code)
 	--log_level <logLevel>	Set log level verbosity (default: info)
 	-d, --daemon 	Set process to run as a deamon
-	-q, --parallel_queue_processing <number> Number of simultaneous processing tasks (default: 1)
+	-q, --parallel_queue_processing <number> Number of simultaneous ODM processing tasks (default: 1)
+	--parallel_singular_processing <number> Number of simultaneous singular tasks (point cloud conversion, COG generation, etc.). Singular tasks have their own processing slots, in addition to those of ODM tasks. (default: 1)
 	--cleanup_tasks_after <number> Number of minutes that elapse before deleting finished and canceled tasks (default: 2880) 
 	--cleanup_uploads_after <number> Number of minutes that elapse before deleting unfinished uploads. Set this value to the maximum time you expect a dataset to be uploaded. (default: 2880) 
 	--test Enable test mode. In test mode, no commands are sent to ODM. This can be useful during development or testing (default: false)
@@ -45,7 +46,17 @@ Options:
 	--powercycle	When set, the application exits immediately after powering up. Useful for testing launch and compilation issues.
 	--token <token>	Sets a token that needs to be passed for every request. This can be used to limit access to the node only to token holders. (default: none)
 	--max_images <number>	Specify the maximum number of images that this processing node supports. (default: unlimited)
-	--webhook <url>	Specify a POST URL endpoint to be invoked when a task completes processing (default: none)
+	--strict_images	Fail tasks with images that cannot be read, files that are not images or images without geotags (unless a geo file is provided). Otherwise unreadable images are excluded from processing and issues are reported as warnings. Image metadata is available via /task/<uuid>/images in both cases. (default: false)
+	--image_download_concurrency <number>	Number of images that are downloaded at the same time for tasks created from image links (images.sg). (default: 4)
+	--image_download_retries <number>	Number of times the download of an image is retried before the task fails. Retries wait longer after each attempt, up to 30 seconds. (default: 5)
+	--image_link_roots <paths>	Comma separated list of folders that file:// image links can point to. (default: none, file:// links are rejected)
+	--image_link_urls <urls>	Comma separated list of URL prefixes that http(s) image links (and their redirects) can point to, for example https://data.example.com/images. (default: none, http(s) links can point to any public address, but not to loopback, private or link-local addresses)
+	--image_link_headers <path>	JSON file with the headers sent when downloading http(s) image links, by URL prefix, for example {"https://data.example.com/": {"Authorization": "Bearer ..."}}. The headers of the longest matching prefix are used. (default: imageLinkHeaders from the configuration file)
+	--webhook <url>	Specify a POST URL endpoint to be invoked for every task, in addition to the webhooks of each task. Can also be a JSON array of URLs and/or {"url": "...", "events": [...]} objects to only receive certain events (for example ["failed"]). (default: none)
+	--webhook_secret <secret>	Secret used to sign webhook requests. When set, requests carry an X-NodeODM-Signature header with the HMAC-SHA256 of the request body (sha256=<hex digest>). (default: none)
+	--webhook_max_attempts <number>	Number of times a webhook delivery is attempted before giving up. (default: 10)
+	--webhook_progress_interval <number>	Minimum number of seconds between two progress notifications sent to the webhooks of a task. Status changes and resources are always notified right away. (default: 10)
+	--webhook_progress_step <number>	Minimum change in progress (percentage) for a progress notification to be sent to webhooks. (default: 1)
 	--s3_endpoint <url>	Specify a S3 endpoint (for example, nyc3.digitaloceanspaces.com) to upload completed task results to. (default: do not upload to S3)
 	--s3_bucket <bucket>	Specify a S3 bucket name where to upload completed task results to. (default: none)
 	--s3_access_key <key>	S3 access key, required if --s3_endpoint is set. (default: none)
@@ -53,10 +64,23 @@ Options:
 	--s3_secret_key <secret>	S3 secret key, required if --s3_endpoint is set. (default: none) 
 	--s3_signature_version <version>	S3 signature version. (default: 4)
 	--s3_acl <canned-acl> S3 object acl. Can specify "none" to skip. (default: public-read)
-	--s3_upload_everything	Upload all task results to S3. (default: upload only all.zip archive)
+	--s3_upload_everything	Upload all task results to storage. (default: upload only all.zip archive)
 	--s3_ignore_ssl Whether to ignore SSL errors while connecting to S3. (default: false)
+	--storage <driver>	Storage backend where task results are uploaded: s3, gcs (Google Cloud Storage through its S3 compatible API, uses the --s3_* options with HMAC keys), azure (Azure Blob Storage) or local (a local directory or mounted share). (default: s3 if --s3_endpoint and --s3_bucket are set, otherwise do not upload results)
+	--storage_path <path>	Directory where the local storage backend stores files. (default: none)
+	--azure_account <name>	Azure storage account name, required by the azure storage backend. (default: AZURE_STORAGE_ACCOUNT environment variable)
+	--azure_key <key>	Azure storage account key. (default: AZURE_STORAGE_KEY environment variable)
+	--azure_sas_token <token>	Azure shared access signature, used instead of --azure_key. (default: none)
+	--azure_container <container>	Azure Blob Storage container where task results are uploaded. (default: none)
+	--storage_profiles <path>	JSON file with the named storage profiles that tasks can reference in their storage settings, for example {"customer-a": {"driver": "s3", "accessKey": "...", "secretKey": "..."}}. A profile holds the credentials (and optionally the driver, endpoint and other driver options) used to reach a task's bucket. Tasks need a profile to set an endpoint, bucket or prefix, and can only use the bucket of the profile or the buckets listed in its "buckets" array (when set). Image links of the form s3://bucket/key can read the bucket of the profile (or of the node) and the buckets listed in the "buckets" array of the profile. (default: storageProfiles from the configuration file)
+	--output_manifest <path>	JSON file with the key templates of the artifacts of the projectId pipeline, overriding the default layout, for example {"process": {"pointcloud": "results/{projectId}/{uuid}/pointcloud.laz"}}. Pipelines are process (regular tasks) and the types of singular tasks (pointcloud, orthophoto, mesh, sg-compare, ifc-convert). (default: outputManifest from the configuration file)
 	--max_concurrency   <number>	Place a cap on the max-concurrency option to use for each task. (default: no limit)
 	--max_runtime	<number> Number of minutes (approximate) that a task is allowed to run before being forcibly canceled (timeout). (default: no limit)
+	--memory_admission	Hold back queued tasks until enough memory is available to process them. Memory requirements are estimated from the number of images and the quality options of each task. (default: false)
+	--priority_aging <number>	Number of minutes a task must wait in the queue for its priority to be raised by one. Set to 0 to disable aging. (default: 10)
+	--task_snapshots <number>	Number of previous task list snapshots to keep as backups. (default: 5)
+	--restore_tasks_from <path>	Restore the task list from a snapshot (for example data/tasks.journal.2) instead of the current one. Use this to recover tasks manually after a corruption. (default: none)
+	--download_status_codes	Respond to failed download requests (for example when an asset is not ready) with a HTTP error status code (400, 404) instead of 200. The response body is a JSON {"error": "..."} in both cases. (default: false)
 Log Levels: 
 error | warn | info | verbose | debug | silly 
 `);
@@ -64,12 +88,16 @@ error | warn | info | verbose | debug | silly
 }
 
 const allOpts = ["slice","help","config","odm_path","log_level","port","p",
-"deamonize","daemon","d","parallel_queue_processing","q",
+"deamonize","daemon","d","parallel_queue_processing","q","parallel_singular_processing",
 "cleanup_tasks_after","cleanup_uploads_after","test","test_skip_orthophotos",
 "test_skip_dems","test_drop_uploads","test_fail_tasks","test_seconds",
-"powercycle","token","max_images","webhook","s3_endpoint","s3_bucket",
+"powercycle","token","max_images","strict_images","image_download_concurrency",
+"image_download_retries","image_link_roots","image_link_urls","image_link_headers","webhook","webhook_secret","webhook_max_attempts",
+"webhook_progress_interval","webhook_progress_step","s3_endpoint","s3_bucket",
 "s3_force_path_style","s3_access_key","s3_secret_key","s3_signature_version",
-"s3_acl","s3_upload_everything","s3_ignore_ssl","max_concurrency","max_runtime"];
+"s3_acl","s3_upload_everything","s3_ignore_ssl","storage","storage_path","azure_account",
+"azure_key","azure_sas_token","azure_container","storage_profiles","output_manifest","max_concurrency","max_runtime",
+"priority_aging","memory_admission","task_snapshots","restore_tasks_from","download_status_codes"];
 
 // Support for "-" or "_" style params syntax
 for (let k in argv){
@@ -118,6 +146,17 @@ config.logger.logDirectory = fromConfigFile("logger.logDirectory", ''); // Set t
 config.port = (argv.port || argv.p || fromConfigFile("port", process.env.PORT || "auto"));
 config.deamon = argv.deamonize || argv.daemon || argv.d || fromConfigFile("daemon", false);
 config.parallelQueueProcessing = parseInt(argv.parallel_queue_processing || argv.q || fromConfigFile("parallelQueueProcessing", 1));
+
+// Number of processing slots for each class of tasks. "odm" is used by
+// ODM tasks (and takes precedence over parallelQueueProcessing), "singular" by singular tasks.
+// Pools don't share slots: by default a node runs one ODM task and one singular task
+// at the same time. Additional pools can be defined for specific singular task
+// types (e.g. "pointcloud": 2). A pool of 0 slots doesn't process tasks.
+const firstSet = (...values) => values.find(v => v !== undefined && v !== null && v !== "");
+config.queuePools = utils.clone(fromConfigFile("queuePools", {}));
+config.queuePools.odm = parseInt(firstSet(argv.parallel_queue_processing, argv.q, config.queuePools.odm, config.parallelQueueProcessing));
+config.queuePools.singular = parseInt(firstSet(argv.parallel_singular_processing, config.queuePools.singular, 1));
+config.parallelQueueProcessing = config.queuePools.odm;
 config.cleanupTasksAfter = parseInt(argv.cleanup_tasks_after || fromConfigFile("cleanupTasksAfter", 2880));
 config.cleanupUploadsAfter = parseInt(argv.cleanup_uploads_after || fromConfigFile("cleanupUploadsAfter", 2880));
 config.test = argv.test || fromConfigFile("test", false);
@@ -130,7 +169,25 @@ config.powercycle = argv.powercycle || fromConfigFile("powercycle", false);
 config.token = argv.token || fromConfigFile("token", "");
 config.authorizedIps = fromConfigFile("authorizedIps", []);
 config.maxImages = parseInt(argv.max_images || fromConfigFile("maxImages", "")) || null;
+config.strictImages = argv.strict_images || fromConfigFile("strictImages", false);
+config.imageDownloadConcurrency = Math.max(1, parseInt(argv.image_download_concurrency || fromConfigFile("imageDownloadConcurrency", 4)) || 1);
+config.imageDownloadRetries = Math.max(0, parseInt(argv.image_download_retries !== undefined ? argv.image_download_retries : fromConfigFile("imageDownloadRetries", 5)) || 0);
+config.imageLinkRoots = argv.image_link_roots ? String(argv.image_link_roots).split(",").filter(p => p !== "") : fromConfigFile("imageLinkRoots", []);
+config.imageLinkUrls = argv.image_link_urls ? String(argv.image_link_urls).split(",").filter(u => u !== "") : fromConfigFile("imageLinkUrls", []);
+config.imageLinkHeaders = fromConfigFile("imageLinkHeaders", {});
+if (argv.image_link_headers){
+	try{
+		config.imageLinkHeaders = JSON.parse(fs.readFileSync(argv.image_link_headers).toString());
+	}catch(e){
+		console.log(`Invalid image link headers file ${argv.image_link_headers}`);
+		process.exit(1);
+	}
+}
 config.webhook = argv.webhook || fromConfigFile("webhook", "");
+config.webhookSecret = argv.webhook_secret || fromConfigFile("webhookSecret", "");
+config.webhookMaxAttempts = parseInt(argv.webhook_max_attempts || fromConfigFile("webhookMaxAttempts", 10));
+config.webhookProgressInterval = parseFloat(argv.webhook_progress_interval !== undefined ? argv.webhook_progress_interval : fromConfigFile("webhookProgressInterval", 10));
+config.webhookProgressStep = parseFloat(argv.webhook_progress_step !== undefined ? argv.webhook_progress_step : fromConfigFile("webhookProgressStep", 1));
 config.s3Endpoint = argv.s3_endpoint || fromConfigFile("s3Endpoint", "");
 config.s3Bucket = argv.s3_bucket || fromConfigFile("s3Bucket", "");
 config.s3ForcePathStyle = argv.s3_force_path_style || fromConfigFile("s3ForcePathStyle", false);
@@ -140,8 +197,37 @@ config.s3SignatureVersion = argv.s3_signature_version || fromConfigFile("s3Signa
 config.s3ACL = argv.s3_acl || fromConfigFile("s3_acl", "public-read")
 config.s3UploadEverything = argv.s3_upload_everything || fromConfigFile("s3UploadEverything", false);
 config.s3IgnoreSSL = argv.s3_ignore_ssl || fromConfigFile("s3IgnoreSSL", false);
+config.storage = argv.storage || fromConfigFile("storage", "");
+config.storagePath = argv.storage_path || fromConfigFile("storagePath", "");
+config.azureAccount = argv.azure_account || fromConfigFile("azureAccount", process.env.AZURE_STORAGE_ACCOUNT || "");
+config.azureKey = argv.azure_key || fromConfigFile("azureKey", process.env.AZURE_STORAGE_KEY || "");
+config.azureSasToken = argv.azure_sas_token || fromConfigFile("azureSasToken", "");
+config.azureContainer = argv.azure_container || fromConfigFile("azureContainer", "");
+config.storageProfiles = fromConfigFile("storageProfiles", {});
+if (argv.storage_profiles){
+	try{
+		config.storageProfiles = JSON.parse(fs.readFileSync(argv.storage_profiles).toString());
+	}catch(e){
+		console.log(`Invalid storage profiles file ${argv.storage_profiles}`);
+		process.exit(1);
+	}
+}
+config.outputManifest = fromConfigFile("outputManifest", {});
+if (argv.output_manifest){
+	try{
+		config.outputManifest = JSON.parse(fs.readFileSync(argv.output_manifest).toString());
+	}catch(e){
+		console.log(`Invalid output manifest file ${argv.output_manifest}`);
+		process.exit(1);
+	}
+}
 config.maxConcurrency = parseInt(argv.max_concurrency || fromConfigFile("maxConcurrency", 0));
 config.maxRuntime = parseInt(argv.max_runtime || fromConfigFile("maxRuntime", -1));
+config.memoryAdmission = argv.memory_admission || fromConfigFile("memoryAdmission", false);
+config.priorityAging = parseInt(argv.priority_aging !== undefined ? argv.priority_aging : fromConfigFile("priorityAging", 10));
+config.taskSnapshots = parseInt(argv.task_snapshots !== undefined ? argv.task_snapshots : fromConfigFile("taskSnapshots", 5));
+config.restoreTasksFrom = argv.restore_tasks_from || fromConfigFile("restoreTasksFrom", "");
+config.downloadStatusCodes = argv.download_status_codes || fromConfigFile("downloadStatusCodes", false);
 
 // Detect 7z availability
 config.has7z = spawnSync(apps.sevenZ, ['--help']).status === 0;
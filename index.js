@@ -24,7 +24,6 @@ const packageJson = JSON.parse(fs.readFileSync('./package.json'));
 
 const logger = require("./libs/logger");
 const async = require("async");
-const mime = require("mime");
 
 const cors = require('cors')
 const express = require('express');
@@ -36,7 +35,9 @@ const multer = require("multer");
 const TaskManager = require("./libs/TaskManager");
 const odmInfo = require("./libs/odmInfo");
 const si = require("systeminformation");
-const S3 = require("./libs/S3");
+const storage = require("./libs/storage/factory");
+const outputManifest = require("./libs/outputManifest");
+const webhooks = require("./libs/webhooks");
 
 const auth = require("./libs/auth/factory").fromConfig(config);
 const authCheck = auth.getMiddleware();
@@ -88,7 +89,19 @@ let server;
  *        -
  *          name: webhook
  *          in: formData
- *          description: Optional URL to call when processing has ended (either successfully or unsuccessfully).
+ *          description: 'Optional URL to call when processing has ended (either successfully or unsuccessfully). Several webhooks can be set by passing a JSON array of URLs and/or objects of the form {"url": "https://...", "events": ["failed", "orthophoto"]}, where events limits the calls made to the URL. Events are progress, status changes (queued, running, completed, failed, canceled, paused or status for all of them) and resources that are ready (pointcloud, orthophoto, dsm, dtm, mesh, ... or resource for all of them). Webhooks set via --webhook are called as well.'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: storage
+ *          in: formData
+ *          description: 'Optional serialized JSON object of the form {"endpoint": "...", "bucket": "...", "prefix": "...", "profile": "..."} to send the results of the task to a different storage than the default one. Each field is optional. profile is the name of one of the storage profiles of the node (see --storage_profiles), which hold the credentials to use. A profile is required to set an endpoint, bucket or prefix. If the profile lists "buckets", bucket must be the bucket of the profile or one of them. Keys of the results are prefixed by prefix.'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: manifest
+ *          in: formData
+ *          description: 'Optional serialized JSON array of the files that will be uploaded, of the form [{"name": "IMG_0001.JPG", "size": 12345, "sha256": "..."}, ...], where sha256 is the hex encoded SHA-256 checksum of the file. When set, uploaded files are verified against it, files that are not listed or that do not match are refused and /task/new/commit fails until all files have been received.'
  *          required: false
  *          type: string
  *        -
@@ -104,6 +117,12 @@ let server;
  *          required: false
  *          type: integer
  *        -
+ *          name: priority
+ *          in: formData
+ *          description: 'An optional integer priority for the task. Tasks with a higher priority are processed first. Tasks waiting in the queue slowly gain priority over time. (default: 0)'
+ *          required: false
+ *          type: integer
+ *        -
  *          name: token
  *          in: query
  *          description: 'Token required for authentication (when authentication is required).'
@@ -141,7 +160,7 @@ app.post(
 /** @swagger
  *  /task/new/upload/{uuid}:
  *    post:
- *      description: Adds one or more files to the task created via /task/new/init. It does not start the task. To start the task, call /task/new/commit.
+ *      description: Adds one or more files to the task created via /task/new/init. It does not start the task. To start the task, call /task/new/commit. Large files can also be sent with resumable uploads (see PATCH /task/new/upload/{uuid}/{filename}).
  *      tags: [task]
  *      consumes:
  *        - multipart/form-data
@@ -180,13 +199,15 @@ app.post(
     taskNew.getUUID,
     taskNew.preUpload,
     taskNew.uploadImages,
+    taskNew.getManifest,
+    taskNew.verifyUploads,
     taskNew.handleUpload
 );
 
 /** @swagger
  *  /task/new/upload/link/{uuid}:
  *    post:
- *      description: Adds one or more file links to the task created via /task/new/init. It does not start the task. To start the task, call /task/new/commit.
+ *      description: Adds one or more image links to the task created via /task/new/init. Images are downloaded when the task starts. It does not start the task. To start the task, call /task/new/commit. Links are checked when they are added, the request fails if a link is not allowed or cannot be reached.
  *      tags: [task]
  *      consumes:
  *        - multipart/form-data
@@ -200,7 +221,7 @@ app.post(
  *        -
  *          name: images
  *          in: formData
- *          description: Images to process, plus optional files such as a GEO file (geo.txt), image groups file (image_groups.txt), GCP file (*.txt) or seed file (seed.zip). If included, the GCP file should have .txt extension. If included, the seed archive pre-polulates the task directory with its contents.
+ *          description: 'Links of the images to process. A link can be a key of the storage backend of the task, s3://bucket/key (the bucket of the node or of the storage profile of the task, or a bucket listed by the profile, reached with the storage settings of the task), a http(s) URL such as a presigned URL (under the prefixes allowed by --image_link_urls, or any public address if not set, sent with the headers configured on the node for its URL prefix) or file:///path (inside one of the folders allowed by --image_link_roots).'
  *          required: true
  *          type: array
  *        -
@@ -227,10 +248,263 @@ app.post(
     taskNew.handleImageLinks
 );
 
+/** @swagger
+ *  /task/new/upload/{uuid}/{filename}:
+ *    get:
+ *      description: Returns how many bytes of a resumable upload have been received, so that an interrupted upload can be resumed from there. Resumable uploads are identified by filename and SHA-256 checksum, send the file in chunks via PATCH and complete it via POST /task/new/upload/{uuid}/{filename}/finalize. The offset is also returned in the Upload-Offset header (HEAD requests are supported).
+ *      tags: [task]
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *           name: filename
+ *           in: path
+ *           description: Name of the file
+ *           required: true
+ *           type: string
+ *        -
+ *          name: sha256
+ *          in: query
+ *          description: Hex encoded SHA-256 checksum of the entire file
+ *          required: true
+ *          type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Upload state
+ *          schema:
+ *            type: object
+ *            required: [offset, complete]
+ *            properties:
+ *              offset:
+ *                type: integer
+ *                description: Number of bytes received
+ *              complete:
+ *                type: boolean
+ *                description: Whether the upload has been finalized
+ *              filename:
+ *                type: string
+ *                description: Name the file was stored with (when complete). It differs from the requested filename if a different file with the same name was uploaded.
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ *    patch:
+ *      description: Appends a chunk to a resumable upload. The chunk is sent as the raw request body (for example with Content-Type application/offset+octet-stream) and must start at the offset returned by GET /task/new/upload/{uuid}/{filename}. If the connection drops, the bytes that were received are kept.
+ *      tags: [task]
+ *      consumes:
+ *        - application/offset+octet-stream
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *           name: filename
+ *           in: path
+ *           description: Name of the file
+ *           required: true
+ *           type: string
+ *        -
+ *          name: sha256
+ *          in: query
+ *          description: Hex encoded SHA-256 checksum of the entire file
+ *          required: true
+ *          type: string
+ *        -
+ *          name: Upload-Offset
+ *          in: header
+ *          description: Offset of the chunk within the file. If it does not match the number of bytes received, the chunk is refused and the error includes the current offset.
+ *          required: true
+ *          type: integer
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Chunk received
+ *          schema:
+ *            type: object
+ *            required: [success, offset, complete]
+ *            properties:
+ *              success:
+ *                type: boolean
+ *              offset:
+ *                type: integer
+ *                description: Number of bytes received
+ *              complete:
+ *                type: boolean
+ *                description: Whether the upload had already been finalized
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get(
+    "/task/new/upload/:uuid/:filename",
+    authCheck,
+    taskNew.getUUID,
+    taskNew.getManifest,
+    taskNew.getResumableUpload,
+    taskNew.handleUploadOffset
+);
+app.patch(
+    "/task/new/upload/:uuid/:filename",
+    authCheck,
+    taskNew.getUUID,
+    taskNew.preUpload,
+    taskNew.getManifest,
+    taskNew.getResumableUpload,
+    taskNew.handleUploadChunk
+);
+
+/** @swagger
+ *  /task/new/upload/{uuid}/{filename}/finalize:
+ *    post:
+ *      description: Completes a resumable upload. The SHA-256 checksum of the received bytes is verified and the file is added to the task. If the checksum does not match, the received bytes are discarded and the file must be uploaded again. Finalizing an upload more than once has no effect, and uploading a file with the same name and contents as an existing file does not create a duplicate. If the task has a manifest, the file must be listed in it with the same checksum and it replaces any previous upload of the same file.
+ *      tags: [task]
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *           name: filename
+ *           in: path
+ *           description: Name of the file
+ *           required: true
+ *           type: string
+ *        -
+ *          name: sha256
+ *          in: query
+ *          description: Hex encoded SHA-256 checksum of the entire file
+ *          required: true
+ *          type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: File Received
+ *          schema:
+ *            type: object
+ *            required: [success, offset, complete, filename]
+ *            properties:
+ *              success:
+ *                type: boolean
+ *              offset:
+ *                type: integer
+ *                description: Size of the file
+ *              complete:
+ *                type: boolean
+ *              filename:
+ *                type: string
+ *                description: Name the file was stored with. It differs from the requested filename if a different file with the same name was uploaded.
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.post(
+    "/task/new/upload/:uuid/:filename/finalize",
+    authCheck,
+    taskNew.getUUID,
+    taskNew.getManifest,
+    taskNew.getResumableUpload,
+    taskNew.handleUploadFinalize
+);
+
+/** @swagger
+ *  /task/new/status/{uuid}:
+ *    get:
+ *      description: Reports the files that have been uploaded to the task created via /task/new/init. If the task has a manifest, files are checked against it.
+ *      tags: [task]
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Upload status
+ *          schema:
+ *            type: object
+ *            required: [manifest, received, missing, corrupt, unexpected]
+ *            properties:
+ *              manifest:
+ *                type: boolean
+ *                description: Whether the task has a manifest
+ *              received:
+ *                type: array
+ *                description: Files that have been received (and match the manifest)
+ *                items:
+ *                  type: string
+ *              missing:
+ *                type: array
+ *                description: Files of the manifest that have not been received
+ *                items:
+ *                  type: string
+ *              corrupt:
+ *                type: array
+ *                description: Files that do not match the manifest
+ *                items:
+ *                  type: object
+ *                  required: [name, error]
+ *                  properties:
+ *                    name:
+ *                      type: string
+ *                    error:
+ *                      type: string
+ *                      description: Description of the mismatch
+ *              unexpected:
+ *                type: array
+ *                description: Files that are not in the manifest
+ *                items:
+ *                  type: string
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get(
+    "/task/new/status/:uuid",
+    authCheck,
+    taskNew.getUUID,
+    taskNew.getManifest,
+    taskNew.handleStatus
+);
+
 /** @swagger
  *  /task/new/commit/{uuid}:
  *    post:
- *      description: Creates a new task for which images have been uploaded via /task/new/upload.
+ *      description: Creates a new task for which images have been uploaded via /task/new/upload. If the task has a manifest, the task is not created until all of its files have been received (see /task/new/status).
  *      tags: [task]
  *      parameters:
  *        -
@@ -309,7 +583,13 @@ app.post(
  *        -
  *          name: webhook
  *          in: formData
- *          description: Optional URL to call when processing has ended (either successfully or unsuccessfully).
+ *          description: 'Optional URL to call when processing has ended (either successfully or unsuccessfully). Several webhooks can be set by passing a JSON array of URLs and/or objects of the form {"url": "https://...", "events": ["failed", "orthophoto"]}, where events limits the calls made to the URL. Events are progress, status changes (queued, running, completed, failed, canceled, paused or status for all of them) and resources that are ready (pointcloud, orthophoto, dsm, dtm, mesh, ... or resource for all of them). Webhooks set via --webhook are called as well.'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: storage
+ *          in: formData
+ *          description: 'Optional serialized JSON object of the form {"endpoint": "...", "bucket": "...", "prefix": "...", "profile": "..."} to send the results of the task to a different storage than the default one. Each field is optional. profile is the name of one of the storage profiles of the node (see --storage_profiles), which hold the credentials to use. A profile is required to set an endpoint, bucket or prefix. If the profile lists "buckets", bucket must be the bucket of the profile or one of them. Keys of the results are prefixed by prefix.'
  *          required: false
  *          type: string
  *        -
@@ -325,6 +605,12 @@ app.post(
  *          required: false
  *          type: integer
  *        -
+ *          name: priority
+ *          in: formData
+ *          description: 'An optional integer priority for the task. Tasks with a higher priority are processed first. Tasks waiting in the queue slowly gain priority over time. (default: 0)'
+ *          required: false
+ *          type: integer
+ *        -
  *          name: token
  *          in: query
  *          description: 'Token required for authentication (when authentication is required).'
@@ -371,10 +657,52 @@ let getTaskFromUuid = (req, res, next) => {
     } else res.json({ error: `${uuid} not found` });
 };
 
+// Replies to a failed download request. The HTTP status code is
+// only set with --download_status_codes, older clients expect a 200 response
+let downloadError = (res, status, message) => {
+    if (config.downloadStatusCodes) res.status(status);
+    res.json({ error: message });
+};
+
+// Console output filters (from, to, tail, grep, level) of a request,
+// "from" defaults to the value of the legacy line parameter
+let outputFilters = (query, line) => {
+    return {
+        from: query.from !== undefined ? query.from : line,
+        to: query.to,
+        tail: query.tail,
+        grep: query.grep,
+        level: query.level
+    };
+};
+
+// Starts a Server-Sent Events response. Returns a send(event, data, id) function,
+// onClose is called when the client disconnects.
+let openEventStream = (res, onClose) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    // Keep proxies from closing idle connections
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30000);
+    res.on("close", () => {
+        clearInterval(keepAlive);
+        onClose();
+    });
+
+    return (event, data, id) => {
+        if (id !== undefined) res.write(`id: ${id}\n`);
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+};
+
 /** @swagger
  *  /task/list:
  *     get:
- *       description: Gets the list of tasks available on this node.
+ *       description: Gets the list of tasks available on this node. Running tasks are listed first, followed by queued tasks in the order they will be processed.
  *       tags: [task]
  *       parameters:
  *        -
@@ -402,11 +730,7 @@ let getTaskFromUuid = (req, res, next) => {
  *            $ref: '#/definitions/Error'
  */
 app.get("/task/list", authCheck, (req, res) => {
-    const tasks = [];
-    for (let uuid in taskManager.tasks) {
-        tasks.push({ uuid });
-    }
-    res.json(tasks);
+    res.json(taskManager.getTaskList().map(task => ({ uuid: task.uuid })));
 });
 
 /** @swagger
@@ -438,7 +762,13 @@ app.get("/task/list", authCheck, (req, res) => {
  *        -
  *          name: webhook
  *          in: formData
- *          description: "Optional URL to call when processing has ended (either successfully or unsuccessfully)."
+ *          description: 'Optional URL to call when processing has ended (either successfully or unsuccessfully). Several webhooks can be set by passing a JSON array of URLs and/or objects of the form {"url": "https://...", "events": ["failed", "orthophoto"]}, where events limits the calls made to the URL. Events are progress, status changes (queued, running, completed, failed, canceled, paused or status for all of them) and resources that are ready (pointcloud, orthophoto, dsm, dtm, mesh, ... or resource for all of them). Webhooks set via --webhook are called as well.'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: storage
+ *          in: formData
+ *          description: 'Optional serialized JSON object of the form {"endpoint": "...", "bucket": "...", "prefix": "...", "profile": "..."} to send the results of the task to a different storage than the default one. Each field is optional. profile is the name of one of the storage profiles of the node (see --storage_profiles), which hold the credentials to use. A profile is required to set an endpoint, bucket or prefix. If the profile lists "buckets", bucket must be the bucket of the profile or one of them. Keys of the results are prefixed by prefix.'
  *          required: false
  *          type: string
  *        -
@@ -448,6 +778,12 @@ app.get("/task/list", authCheck, (req, res) => {
  *          required: false
  *          type: integer
  *        -
+ *          name: priority
+ *          in: formData
+ *          description: 'An optional integer priority for the task. Tasks with a higher priority are processed first. Tasks waiting in the queue slowly gain priority over time. (default: 0)'
+ *          required: false
+ *          type: integer
+ *        -
  *          name: taskType
  *          in: formData
  *          description: "Singular task type to execute. Should be one of the following : pointcloud, mesh, orthophoto, sg-compare, pdal-translate, ifc-convert, encode-video(ffmpeg)"
@@ -508,7 +844,7 @@ app.post("/task/singular/new",
  *        -
  *          name: with_output
  *          in: query
- *          description: Optionally retrieve the console output for this task. The parameter specifies the line number that the console output should be truncated from. For example, passing a value of 100 will retrieve the console output starting from line 100. By default no console output is added to the response.
+ *          description: Optionally retrieve the console output for this task. The parameter specifies the line number that the console output should be truncated from. For example, passing a value of 100 will retrieve the console output starting from line 100. By default no console output is added to the response. The from, to, tail, grep and level parameters of /task/{uuid}/output can be used to filter the console output.
  *          default: 0
  *          required: false
  *          type: integer
@@ -538,8 +874,11 @@ app.post("/task/singular/new",
  *              properties:
  *                code:
  *                  type: integer
- *                  description: Status code (10 = QUEUED, 20 = RUNNING, 30 = FAILED, 40 = COMPLETED, 50 = CANCELED)
- *                  enum: [10, 20, 30, 40, 50]
+ *                  description: Status code (10 = QUEUED, 20 = RUNNING, 30 = FAILED, 40 = COMPLETED, 50 = CANCELED, 60 = PAUSED)
+ *                  enum: [10, 20, 30, 40, 50, 60]
+ *                waitingFor:
+ *                  type: string
+ *                  description: Set when a queued task is being held back, with the name of the resource it is waiting for (for example "memory")
  *            options:
  *              type: array
  *              description: List of options used to process this task
@@ -559,6 +898,12 @@ app.post("/task/singular/new",
  *            progress:
  *              type: float
  *              description: Percentage progress (estimated) of the task
+ *            priority:
+ *              type: integer
+ *              description: Priority of the task. Tasks with a higher priority are processed first.
+ *            resumedFrom:
+ *              type: string
+ *              description: ODM stage that processing was resumed from after the task was paused or the node was restarted (null if processing started from the beginning)
  *            output:
  *              type: array
  *              description: Console output for the task (only if requested via ?output=<linenum>)
@@ -571,9 +916,15 @@ app.post("/task/singular/new",
  */
 app.get("/task/:uuid/info", authCheck, getTaskFromUuid, (req, res) => {
     const info = req.task.getInfo();
-    if (req.query.with_output !== undefined)
-        info.output = req.task.getOutput(req.query.with_output);
-    res.json(info);
+    if (req.query.with_output !== undefined) {
+        req.task.getOutput(outputFilters(req.query, req.query.with_output), (err, output) => {
+            if (err) res.json({ error: err.message });
+            else {
+                info.output = output;
+                res.json(info);
+            }
+        });
+    } else res.json(info);
 });
 
 /** @swagger
@@ -596,11 +947,49 @@ app.get("/task/:uuid/info", authCheck, getTaskFromUuid, (req, res) => {
  *         required: false
  *         type: integer
  *        -
+ *          name: from
+ *          in: query
+ *          description: 'Optional line number that the console output should start from (same as line). Negative values count from the end of the output.'
+ *          required: false
+ *          type: integer
+ *        -
+ *          name: to
+ *          in: query
+ *          description: 'Optional line number that the console output should stop at (this line is excluded). Negative values count from the end of the output. Defaults to the end of the output.'
+ *          required: false
+ *          type: integer
+ *        -
+ *          name: tail
+ *          in: query
+ *          description: 'Optionally retrieve only the last N lines (of those matching the other filters).'
+ *          required: false
+ *          type: integer
+ *        -
+ *          name: grep
+ *          in: query
+ *          description: 'Optional text that lines must contain (plain text, case sensitive). Can be repeated to return the lines that contain any of the texts (for example grep=Traceback&grep=Error).'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: level
+ *          in: query
+ *          description: 'Optionally retrieve only ODM log messages of this level or higher (debug, info, warning, error, exception). For example, passing "warning" retrieves the lines starting with [WARNING], [ERROR] or [EXCEPTION].'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: format
+ *          in: query
+ *          description: 'Format of the response, either "json" (array of lines) or "text" (plain text, one line after the other). Defaults to "json".'
+ *          required: false
+ *          type: string
+ *          enum: [json, text]
+ *        -
  *          name: token
  *          in: query
  *          description: 'Token required for authentication (when authentication is required).'
  *          required: false
  *          type: string
+ *       produces: [application/json, text/plain]
  *       responses:
  *        200:
  *         description: Console Output
@@ -612,41 +1001,339 @@ app.get("/task/:uuid/info", authCheck, getTaskFromUuid, (req, res) => {
  *            $ref: '#/definitions/Error'
  */
 app.get("/task/:uuid/output", authCheck, getTaskFromUuid, (req, res) => {
-    res.json(req.task.getOutput(req.query.line));
+    const format = req.query.format || "json";
+    if (["json", "text"].indexOf(format) === -1) {
+        res.json({ error: "Invalid format: must be either json or text" });
+        return;
+    }
+
+    req.task.getOutput(outputFilters(req.query, req.query.line), (err, output) => {
+        if (err) res.json({ error: err.message });
+        else if (format === "text") res.type("text/plain").send(output.join("\n"));
+        else res.json(output);
+    });
 });
 
 /** @swagger
- *  /task/{uuid}/download/{asset}:
- *    get:
- *      description: Retrieves an asset (the output of OpenDroneMap's processing) associated with a task
- *      tags: [task]
- *      produces: [application/zip]
- *      parameters:
- *        - name: uuid
- *          in: path
- *          type: string
- *          description: UUID of the task
- *          required: true
- *        - name: asset
- *          in: path
- *          type: string
- *          description: Type of asset to download. Use "all.zip" for zip file containing all assets.
- *          required: true
- *          enum:
- *            - all.zip
+ *  /task/{uuid}/events:
+ *     get:
+ *       description: 'Opens a Server-Sent Events stream that pushes updates about a task as they happen. Three kinds of events are sent: "status" (data is the status object of the task), "progress" (data is the percentage progress) and "output" (data is a line of console output). Each event ID is the number of console output lines that were sent so far, so clients that reconnect with a Last-Event-ID header only receive the lines they missed. The current status and progress are sent when the stream is opened.'
+ *       tags: [task]
+ *       produces: [text/event-stream]
+ *       parameters:
  *        -
- *          name: token
- *          in: query
- *          description: 'Token required for authentication (when authentication is required).'
- *          required: false
- *          type: string
- *      responses:
- *        200:
- *          description: Asset File
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *         name: line
+ *         in: query
+ *         description: Optional line number of the console output to start streaming from (ignored when a Last-Event-ID header is sent). Negative values count from the end of the output. Defaults to 0 (stream all console output).
+ *         default: 0
+ *         required: false
+ *         type: integer
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *       responses:
+ *        200:
+ *         description: Event stream
+ *         schema:
+ *           type: string
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get("/task/:uuid/events", authCheck, getTaskFromUuid, (req, res) => {
+    const task = req.task;
+
+    // Lines are numbered in the order they were appended, so the last event ID
+    // tells us how much of the output the client has already received
+    let line = parseInt(req.get("Last-Event-ID"));
+    if (isNaN(line)) {
+        line = parseInt(req.query.line) || 0;
+        if (line < 0) line = Math.max(0, task.output.length + line);
+    }
+
+    // Output was reset (task restarted) since the client last connected
+    if (line > task.output.length) line = 0;
+
+    const send = openEventStream(res, () => task.removeEventListener(onEvent));
+    const forward = (event, data) => {
+        if (event === "output") send(event, data.line, data.index + 1);
+        else send(event, data, task.output.length);
+    };
+
+    // Events that happen while past output is read from disk are sent afterwards
+    let pending = [];
+    const onEvent = (task, event, data) => {
+        if (pending) pending.push([event, data]);
+        else forward(event, data);
+    };
+    task.addEventListener(onEvent);
+
+    const end = task.output.length;
+    task.output.read(line, end, (err, lines) => {
+        if (err) logger.warn(`Cannot read console output of ${task.uuid}: ${err.message}`);
+        else lines.forEach((l, i) => send("output", l, line + i + 1));
+        send("status", task.status, end);
+        send("progress", task.progress, end);
+
+        pending.forEach(([event, data]) => forward(event, data));
+        pending = null;
+    });
+});
+
+/** @swagger
+ *  /task/{uuid}/webhooks:
+ *     get:
+ *       description: Retrieves the webhook deliveries of a task (pending and recently completed), oldest first. Useful for inspecting failed webhook calls.
+ *       tags: [task]
+ *       parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *       responses:
+ *        200:
+ *         description: Webhook deliveries
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [id, url, status, dateCreated, attempts]
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Delivery ID, sent in the X-NodeODM-Delivery header. Retries of the same delivery use the same ID, so receivers can use it to discard duplicates.
+ *               url:
+ *                 type: string
+ *                 description: URL of the webhook
+ *               status:
+ *                 type: string
+ *                 description: 'One of: pending, delivered, failed (will not be retried)'
+ *               dateCreated:
+ *                 type: integer
+ *                 description: Timestamp of when the delivery was queued
+ *               payload:
+ *                 type: object
+ *                 description: JSON body of the request
+ *               attempts:
+ *                 type: array
+ *                 description: Delivery attempts, each with a date, HTTP statusCode (if a response was received) and error message (if the request could not be made)
+ *                 items:
+ *                   type: object
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get("/task/:uuid/webhooks", authCheck, getTaskFromUuid, (req, res) => {
+    res.json(webhooks.getDeliveries(req.task.uuid));
+});
+
+/** @swagger
+ *  /task/{uuid}/images:
+ *    get:
+ *      description: Retrieves the metadata (EXIF and XMP) of the images of a task, read when the task is initialized (or, for tasks created from image links, once the images are downloaded). Images that cannot be read are excluded from processing, or fail the task if the node is started with --strict_images.
+ *      tags: [task]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Images summary
+ *          schema:
+ *            type: object
+ *            required: [images, rejected, ignored, cameras, warnings]
+ *            properties:
+ *              images:
+ *                type: array
+ *                description: Images that can be processed
+ *                items:
+ *                  type: object
+ *                  required: [name, format, width, height, camera, gps, altitude, relativeAltitude, captureTime, warnings]
+ *                  properties:
+ *                    name:
+ *                      type: string
+ *                    format:
+ *                      type: string
+ *                      description: 'One of: jpeg, tiff (including DNG), png'
+ *                    width:
+ *                      type: integer
+ *                    height:
+ *                      type: integer
+ *                    camera:
+ *                      type: string
+ *                      description: Make and model of the camera (null if unknown)
+ *                    gps:
+ *                      type: object
+ *                      description: Geotag of the image, {latitude, longitude} in decimal degrees (null if the image has no geotag)
+ *                    altitude:
+ *                      type: number
+ *                      description: Altitude in meters above sea level (null if unknown)
+ *                    relativeAltitude:
+ *                      type: number
+ *                      description: Altitude in meters above the takeoff point, as written by some drones in XMP (null if unknown)
+ *                    captureTime:
+ *                      type: string
+ *                      description: Capture time (YYYY-MM-DDTHH:MM:SS, followed by the time zone offset when known) or null
+ *                    warnings:
+ *                      type: array
+ *                      items:
+ *                        type: string
+ *              rejected:
+ *                type: array
+ *                description: Images that cannot be read, as {name, error}
+ *                items:
+ *                  type: object
+ *              ignored:
+ *                type: array
+ *                description: Files that are not images, as {name, error}
+ *                items:
+ *                  type: object
+ *              cameras:
+ *                type: array
+ *                description: Number of images taken with each camera, as {camera, count}
+ *                items:
+ *                  type: object
+ *              warnings:
+ *                type: array
+ *                description: Issues found with the dataset (unreadable images, missing geotags, mixed cameras)
+ *                items:
+ *                  type: string
+ *        default:
+ *          description: Error
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get("/task/:uuid/images", authCheck, getTaskFromUuid, (req, res) => {
+    req.task.getImagesSummary((err, summary) => {
+        if (err) res.json({ error: err.message });
+        else res.json(summary);
+    });
+});
+
+/** @swagger
+ *  /task/{uuid}/download/custom.zip:
+ *    get:
+ *      description: Streams a zip archive of a subset of the outputs of a task (see /task/{uuid}/assets for a list of outputs). The archive is generated on the fly, files are stored without compression.
+ *      tags: [task]
+ *      produces: [application/zip]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        -
+ *          name: paths
+ *          in: query
+ *          description: 'Serialized JSON array of the files and folders (relative to the project folder) to include in the archive. For example, ["odm_dem/dsm.tif", "odm_georeferencing"]. Defaults to all outputs (except for the all.zip and mesh.zip archives).'
+ *          required: false
+ *          type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Zip archive
  *          schema:
  *            type: file
  *        default:
- *          description: Error message
+ *          description: Error message (sent with a 200 status code, unless the node is started with --download_status_codes)
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get("/task/:uuid/download/custom.zip", authCheck, getTaskFromUuid, (req, res) => {
+    let paths = req.task.getAssetPaths().filter(p => path.extname(p) !== ".zip");
+    if (req.query.paths !== undefined) {
+        try {
+            paths = JSON.parse(req.query.paths);
+            if (!Array.isArray(paths)) throw new Error("not an array");
+        } catch (e) {
+            downloadError(res, 400, `Invalid paths: ${e.message}`);
+            return;
+        }
+    }
+
+    req.task.findAssets(paths, (err, files) => {
+        if (err) downloadError(res, err.status || 500, err.message);
+        else if (files.length === 0) downloadError(res, 404, "Asset not ready");
+        else {
+            res.setHeader("Content-Disposition", "attachment; filename=custom.zip");
+            res.setHeader("Content-Type", "application/zip");
+            req.task.zipAssets(files, res, err => {
+                if (err) logger.warn(`Could not stream custom.zip for ${req.task.uuid}: ${err.message}`);
+            });
+        }
+    });
+});
+
+/** @swagger
+ *  /task/{uuid}/download/{asset}:
+ *    get:
+ *      description: Retrieves an asset (the output of OpenDroneMap's processing) associated with a task. Supports HTTP Range requests, so interrupted downloads can be resumed, and conditional requests (If-None-Match, If-Modified-Since, If-Range) based on the ETag and Last-Modified headers, which are derived from the size and modification time of the asset.
+ *      tags: [task]
+ *      produces: [application/zip]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        - name: asset
+ *          in: path
+ *          type: string
+ *          description: Type of asset to download. Use "all.zip" for zip file containing all assets.
+ *          required: true
+ *          enum:
+ *            - all.zip
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Asset File
+ *          schema:
+ *            type: file
+ *        206:
+ *          description: Part of the Asset File (Range request)
+ *          schema:
+ *            type: file
+ *        304:
+ *          description: Asset File has not changed (conditional request)
+ *        default:
+ *          description: Error message (sent with a 200 status code, unless the node is started with --download_status_codes)
  *          schema:
  *            $ref: '#/definitions/Error'
  */
@@ -660,24 +1347,129 @@ app.get(
         let filePath = req.task.getAssetsArchivePath(asset);
         if (filePath) {
             if (fs.existsSync(filePath)) {
-                res.setHeader(
-                    "Content-Disposition",
-                    `attachment; filename=${asset}`
-                );
-                res.setHeader("Content-Type", mime.getType(filePath));
-                res.setHeader("Content-Length", fs.statSync(filePath).size);
-
-                const filestream = fs.createReadStream(filePath);
-                filestream.pipe(res);
+                // Takes care of Range and conditional requests. Errors here
+                // (for example an unsatisfiable range) always set the status code,
+                // since only newer clients make such requests
+                res.download(path.resolve(filePath), asset, err => {
+                    if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.message });
+                });
             } else {
-                res.json({ error: "Asset not ready" });
+                downloadError(res, 404, "Asset not ready");
             }
         } else {
-            res.json({ error: "Invalid asset" });
+            downloadError(res, 404, "Invalid asset");
         }
     }
 );
 
+/** @swagger
+ *  /task/{uuid}/assets:
+ *    get:
+ *      description: Lists the output files of a task that can be downloaded individually via /task/{uuid}/assets/{path}
+ *      tags: [task]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        -
+ *          name: checksums
+ *          in: query
+ *          description: 'When true, the SHA-256 checksum of each file is included. Checksums of large outputs can take a while to compute the first time they are requested.'
+ *          required: false
+ *          type: boolean
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Output files
+ *          schema:
+ *            type: array
+ *            items:
+ *              type: object
+ *              required: [path, size, mtime, mimeType]
+ *              properties:
+ *                path:
+ *                  type: string
+ *                  description: Path of the file, relative to the project folder (example "odm_dem/dsm.tif")
+ *                size:
+ *                  type: integer
+ *                  description: Size in bytes
+ *                mtime:
+ *                  type: integer
+ *                  description: Timestamp of the last modification
+ *                mimeType:
+ *                  type: string
+ *                  description: Mime type
+ *                sha256:
+ *                  type: string
+ *                  description: SHA-256 checksum (hex), only when checksums is true
+ *        default:
+ *          description: Error message
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get("/task/:uuid/assets", authCheck, getTaskFromUuid, (req, res) => {
+    const checksums = req.query.checksums === "true" || req.query.checksums === "1";
+    req.task.listAssets(checksums, (err, files) => {
+        if (err) downloadError(res, 500, err.message);
+        else res.json(files);
+    });
+});
+
+/** @swagger
+ *  /task/{uuid}/assets/{path}:
+ *    get:
+ *      description: Downloads a single output file of a task (see /task/{uuid}/assets for a list). Supports HTTP Range requests, so interrupted downloads can be resumed.
+ *      tags: [task]
+ *      produces: [application/octet-stream]
+ *      parameters:
+ *        - name: uuid
+ *          in: path
+ *          type: string
+ *          description: UUID of the task
+ *          required: true
+ *        - name: path
+ *          in: path
+ *          type: string
+ *          description: Path of the file, relative to the project folder (example "odm_dem/dsm.tif")
+ *          required: true
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Asset File
+ *          schema:
+ *            type: file
+ *        206:
+ *          description: Part of the Asset File (Range request)
+ *          schema:
+ *            type: file
+ *        default:
+ *          description: Error message
+ *          schema:
+ *            $ref: '#/definitions/Error'
+ */
+app.get("/task/:uuid/assets/*", authCheck, getTaskFromUuid, (req, res) => {
+    req.task.resolveAsset(req.params[0], (err, filePath) => {
+        if (err) downloadError(res, err.status || 500, err.message);
+        else {
+            res.download(filePath, path.basename(filePath), err => {
+                if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.message });
+            });
+        }
+    });
+});
+
 /** @swagger
  * definition:
  *   Error:
@@ -810,7 +1602,7 @@ app.post(
  *        -
  *          name: webhook
  *          in: body
- *          description: Optional URL to call when processing has ended (either successfully or unsuccessfully).
+ *          description: 'Optional URL to call when processing has ended (either successfully or unsuccessfully). Several webhooks can be set by passing a JSON array of URLs and/or objects of the form {"url": "https://...", "events": ["failed", "orthophoto"]}, where events limits the calls made to the URL. Events are progress, status changes (queued, running, completed, failed, canceled, paused or status for all of them) and resources that are ready (pointcloud, orthophoto, dsm, dtm, mesh, ... or resource for all of them). Webhooks set via --webhook are called as well.'
  *          required: false
  *          type: string
  *        -
@@ -838,6 +1630,12 @@ app.post(
         }
 
         if (req.body.webhook && req.task) {
+            try {
+                webhooks.parseTargets(req.body.webhook);
+            } catch (e) {
+                res.json({ error: e.message });
+                return;
+            }
             req.task.webhook = req.body.webhook;
         }
 
@@ -860,6 +1658,116 @@ app.post(
     }
 );
 
+/** @swagger
+ * /task/{uuid}/priority:
+ *    post:
+ *      description: Changes the priority of a task that is waiting to be processed. Tasks with a higher priority are processed first.
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: priority
+ *          in: body
+ *          description: New priority of the task
+ *          required: true
+ *          schema:
+ *            type: integer
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Command Received
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ */
+app.post(
+    "/task/:uuid/priority",
+    urlEncodedBodyParser,
+    jsonBodyParser,
+    authCheck,
+    getTaskFromUuid,
+    (req, res) => {
+        if (req.body.priority === undefined) res.json({ error: "priority param missing." });
+        else taskManager.setPriority(req.params.uuid, req.body.priority, successHandler(res));
+    }
+);
+
+/** @swagger
+ * /task/{uuid}/pause:
+ *    post:
+ *      description: Pauses a task that is being processed by ODM. Running processes are stopped and the task's processing slot is released. Paused tasks can be continued with /task/{uuid}/resume.
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Command Received
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ */
+app.post(
+    "/task/:uuid/pause",
+    urlEncodedBodyParser,
+    jsonBodyParser,
+    authCheck,
+    getTaskFromUuid,
+    (req, res) => {
+        taskManager.pause(req.params.uuid, successHandler(res));
+    }
+);
+
+/** @swagger
+ * /task/{uuid}/resume:
+ *    post:
+ *      description: Puts a paused task back into the queue. Processing restarts from the stage following the last stage that was completed.
+ *      parameters:
+ *        -
+ *           name: uuid
+ *           in: path
+ *           description: UUID of the task
+ *           required: true
+ *           type: string
+ *        -
+ *          name: token
+ *          in: query
+ *          description: 'Token required for authentication (when authentication is required).'
+ *          required: false
+ *          type: string
+ *      responses:
+ *        200:
+ *          description: Command Received
+ *          schema:
+ *            $ref: "#/definitions/Response"
+ */
+app.post(
+    "/task/:uuid/resume",
+    urlEncodedBodyParser,
+    jsonBodyParser,
+    authCheck,
+    getTaskFromUuid,
+    (req, res) => {
+        taskManager.resume(req.params.uuid, successHandler(res));
+    }
+);
+
 /** @swagger
  * /task/reoptimize:
  *    post:
@@ -1025,7 +1933,13 @@ app.get("/options", authCheck, (req, res) => {
  *               description: Maximum number of images allowed for new tasks or null if there's no limit.
  *             maxParallelTasks:
  *               type: integer
- *               description: Maximum number of tasks that can be processed simultaneously
+ *               description: Maximum number of ODM tasks that can be processed simultaneously
+ *             queuePools:
+ *               type: object
+ *               description: 'Number of processing slots of each pool, for example {"odm": 1, "singular": 4}. ODM tasks use the "odm" pool, singular tasks use either the "singular" pool or a pool named after their task type.'
+ *             freeSlots:
+ *               type: object
+ *               description: Number of processing slots currently available in each pool
  *             engineVersion:
  *               type: string
  *               description: Current version of processing engine
@@ -1059,6 +1973,8 @@ app.get("/info", authCheck, (req, res) => {
                 cpuCores: cpu.cores,
                 maxImages: config.maxImages,
                 maxParallelTasks: config.parallelQueueProcessing,
+                queuePools: config.queuePools,
+                freeSlots: taskManager.getFreeSlots(),
                 engineVersion,
                 engine,
             });
@@ -1066,6 +1982,51 @@ app.get("/info", authCheck, (req, res) => {
     );
 });
 
+/** @swagger
+ * /events:
+ *   get:
+ *     description: 'Opens a Server-Sent Events stream that reports the lifecycle events of all tasks on this node. The event type is one of: created, initialized, queued, started, stageChanged, paused, completed, failed, canceled, removed, cleanedUp (removed automatically after --cleanup_tasks_after minutes). The data of each event is a JSON object with the event name, uuid, projectId, taskType ("odm" for ODM tasks) and date (milliseconds since epoch) of the event, along with status (for status changes) or stage (for stageChanged events).'
+ *     tags: [server]
+ *     produces: [text/event-stream]
+ *     parameters:
+ *       -
+ *         name: projectId
+ *         in: query
+ *         description: Only report events of tasks that belong to this project. Multiple values can be separated by commas.
+ *         required: false
+ *         type: string
+ *       -
+ *         name: taskType
+ *         in: query
+ *         description: Only report events of tasks of this type. Multiple values can be separated by commas.
+ *         required: false
+ *         type: string
+ *       -
+ *         name: token
+ *         in: query
+ *         description: 'Token required for authentication (when authentication is required).'
+ *         required: false
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         schema:
+ *           type: string
+ */
+app.get("/events", authCheck, (req, res) => {
+    const filter = (param) => req.query[param] !== undefined ? String(req.query[param]).split(",") : null;
+    const projectIds = filter("projectId");
+    const taskTypes = filter("taskType");
+
+    const send = openEventStream(res, () => taskManager.removeEventListener(onEvent));
+    const onEvent = (evt) => {
+        if (projectIds && projectIds.indexOf(String(evt.projectId)) === -1) return;
+        if (taskTypes && taskTypes.indexOf(evt.taskType) === -1) return;
+        send(evt.event, evt);
+    };
+    taskManager.addEventListener(onEvent);
+});
+
 /** @swagger
  * /auth/info:
  *   get:
@@ -1208,7 +2169,9 @@ if (!config.has7z)
 let commands = [
     (cb) => odmInfo.initialize(cb),
     (cb) => auth.initialize(cb),
-    (cb) => S3.initialize(cb),
+    (cb) => storage.initialize(cb),
+    (cb) => outputManifest.initialize(cb),
+    (cb) => webhooks.initialize(cb),
     (cb) => {
         TaskManager.initialize(cb);
         taskManager = TaskManager.singleton();
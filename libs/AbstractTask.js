@@ -1,3 +1,8 @@
+const assets = require('./assets');
+const logger = require('./logger');
+const outputManifest = require('./outputManifest');
+const storage = require('./storage/factory');
+
 module.exports = class AbstractTask {
     // Must have fields (to be compatible with TaskManger)
     // uuid
@@ -5,7 +10,119 @@ module.exports = class AbstractTask {
     // dateStarted
     // processingTime
     constructor() {
+        this.eventListeners = [];
+        this.assetChecksums = {};
+    }
+
+    // Registers a callback(task, event, data) that is invoked
+    // when the task's status or progress changes
+    // or when a new line is appended to its output
+    addEventListener(callback) {
+        this.eventListeners.push(callback);
+    }
+
+    removeEventListener(callback) {
+        this.eventListeners = this.eventListeners.filter(cb => cb !== callback);
+    }
 
+    emitEvent(event, data) {
+        this.eventListeners.forEach(callback => callback(this, event, data));
+    }
+
+    // Appends a line to the task's console output
+    appendOutput(line) {
+        this.output.append(line);
+        this.emitEvent("output", { line, index: this.output.length - 1 });
+    }
+
+    // Returns the console output of the task
+    // @param filters {Number|Object} line number to start from (negative values count
+    //      from the end of the output) or filters as accepted by TaskOutput.query
+    // @param done {Function} callback(err, lines)
+    getOutput(filters, done) {
+        if (typeof filters !== "object" || filters === null) filters = { from: filters };
+        this.output.query(filters, done);
+    }
+
+    // Lists the output files of the task (see assets.list),
+    // checksums are computed only when withChecksums is true
+    listAssets(withChecksums, done) {
+        assets.list(this.getProjectFolderPath(), this.getAssetPaths(), withChecksums ? this.assetChecksums : null, done);
+    }
+
+    // Finds the output files within requestedPaths (see assets.find)
+    findAssets(requestedPaths, done) {
+        assets.find(this.getProjectFolderPath(), this.getAssetPaths(), requestedPaths, done);
+    }
+
+    // Writes a zip archive of output files to a stream (see assets.zip)
+    zipAssets(files, output, done) {
+        assets.zip(this.getProjectFolderPath(), files, output, done);
+    }
+
+    // Finds the file of an output requested by a client (see assets.resolve)
+    resolveAsset(requestedPath, done) {
+        assets.resolve(this.getProjectFolderPath(), this.getAssetPaths(), requestedPath, done);
+    }
+
+    // Reads the summary of the metadata of the images of the task
+    // @param done {Function} callback(err, summary)
+    getImagesSummary(done) {
+        done(new Error("This task has no images"));
+    }
+
+    // Storage backend where the inputs and results of the task are downloaded
+    // from and uploaded to: the one of the task's storage settings (if any)
+    // or the default one. Null if none is configured or the settings are no longer valid.
+    getStorage() {
+        if (!this.storage) return storage.singleton();
+
+        if (!this.storageBackend) {
+            try {
+                this.storageBackend = storage.fromSettings(this.storage);
+            } catch (e) {
+                logger.error(`Invalid storage settings for task ${this.uuid}: ${e.message}`);
+                return null;
+            }
+        }
+        return this.storageBackend;
+    }
+
+    // Key of an artifact of the task in its storage backend (see outputManifest)
+    // @param variables {Object} values of the key template variables other than projectId and uuid
+    getStorageKey(artifact, variables = {}) {
+        return outputManifest.key(this.getOutputPipeline(), artifact, Object.assign({}, variables, {
+            projectId: this.projectId,
+            uuid: this.uuid
+        }));
+    }
+
+    // Name of the pipeline of the output manifest that describes the keys of the task's artifacts
+    getOutputPipeline() {
+        throw new Error("getOutputPipeline method should be implemented");
+    }
+
+    // Uploads a file (or an object, as JSON) to key in the storage backend of the task
+    // @param done {Function} callback(err)
+    // @param onOutput {Function} (optional) callback when output lines are available
+    uploadToStorage(key, src, done, onOutput) {
+        const storage = this.getStorage();
+        if (storage) storage.upload(key, src, done, onOutput);
+        else done(new Error("No storage backend is configured"));
+    }
+
+    // Downloads key from the storage backend of the task to dest
+    // @param done {Function} callback(err)
+    downloadFromStorage(key, dest, done) {
+        const storage = this.getStorage();
+        if (storage) storage.download(key, dest, done);
+        else done(new Error("No storage backend is configured"));
+    }
+
+    // Paths (relative to the project folder) of the files and folders
+    // that clients are allowed to download
+    getAssetPaths () {
+        throw new Error("getAssetPaths method should be implemented");
     }
 
     start () {
@@ -16,10 +133,24 @@ module.exports = class AbstractTask {
         throw new Error("updateProgress method should be implemented");
     }
 
+    // Maps the progress reported by ODM (0-100) to the progress of the task,
+    // keeping 10% for special postprocessing step
+    odmProgress (globalProgress) {
+        return globalProgress * 0.9;
+    }
+
     cancel () {
         throw new Error("cancel method should be implemented");
     }
 
+    pause () {
+        throw new Error("pause method should be implemented");
+    }
+
+    resume () {
+        throw new Error("resume method should be implemented");
+    }
+
     isCanceled () {
         throw new Error("isCanceled method should be implemented");
     }
@@ -32,6 +163,10 @@ module.exports = class AbstractTask {
         throw new Error("isRunning method should be implemented");
     }
 
+    getMemoryRequirement () {
+        throw new Error("getMemoryRequirement method should be implemented");
+    }
+
     callWebhooks () {
         throw new Error("callWebhooks method should be implemented");
     }
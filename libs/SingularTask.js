@@ -6,17 +6,17 @@ const kill = require("tree-kill");
 const assert = require("assert");
 const rmdir = require("rimraf");
 const fs = require("fs");
-const request = require("request");
 
 const config = require("../config");
 const processRunner = require("./processRunner");
 const Directories = require("./Directories");
-const S3 = require("./S3");
 const zipUtils = require('./ziputils');
 const logger = require("./logger");
+const webhooks = require("./webhooks");
 
 const statusCodes = require('./statusCodes');
 const AbstractTask = require("./AbstractTask");
+const TaskOutput = require("./TaskOutput");
 
 
 module.exports = class SingularTask extends AbstractTask {
@@ -27,8 +27,9 @@ module.exports = class SingularTask extends AbstractTask {
         options = [],
         webhook = null,
         taskType,
-        output,
         dateCreated = new Date().getTime(),
+        priority = 0,
+        storage = null
     ) {
         super();
 
@@ -42,15 +43,18 @@ module.exports = class SingularTask extends AbstractTask {
         this.options = options;
         this.taskType = taskType;
         this.webhook = webhook;
+        this.storage = storage; // Storage settings (see storage/factory.parseSettings), null to use the default storage
         this.name = name !== "" ? name : "Task of " + new Date().toISOString();
         this.dateCreated = isNaN(parseInt(dateCreated))
             ? new Date().getTime()
             : parseInt(dateCreated);
         this.dateStarted = 0;
+        this.dateQueued = 0;
         this.processingTime = -1;
+        this.priority = parseInt(priority) || 0;
         this.progress = 0;
         this.runningProcesses = [];
-        this.output = output || [];
+        this.output = new TaskOutput(path.join(this.getProjectFolderPath(), "task_output.log"));
         this.setStatus(statusCodes.RUNNING);
         this.initialized = false;
         this.onInitialize = [];
@@ -79,28 +83,50 @@ module.exports = class SingularTask extends AbstractTask {
         // Progress updates are asynchronous (via UDP)
         // so things could be out of order. We ignore all progress
         // updates that are lower than what we might have previously received.
-        if (globalProgress >= this.progress) {
+        if (globalProgress > this.progress) {
             this.progress = globalProgress;
+            this.emitEvent("progress", this.progress);
         }
 
-        this.callWebhooks();
+        this.callWebhooks("progress");
     }
 
     getProjectFolderPath() {
         return path.join(Directories.data, this.uuid);
     }
 
+    getOutputPipeline() {
+        return this.taskType;
+    }
+
+    getAssetPaths() {
+        return ['potree_pointcloud', 'orthophoto-cog.tif', 'nexus.nxs', 'nexus.nxz',
+            'bim.glb', 'pointcloud.las', 'task_output.txt'];
+    }
+
     cleanup(cb) {
+        this.output.close();
         rmdir(this.getProjectFolderPath(), cb);
     }
 
     setStatus(code, extra) {
+        // Keep track of when the task entered the queue
+        // (used by TaskManager for priority aging)
+        if (code === statusCodes.QUEUED && (!this.status || this.status.code !== statusCodes.QUEUED)) {
+            this.dateQueued = new Date().getTime();
+        }
+
+        // Completed tasks reach 100% before their status changes,
+        // so that the status is the last update webhooks receive
+        if (code === statusCodes.COMPLETED) this.updateProgress(100);
+
         this.status = {
             code: code,
         };
         for (let k in extra) {
             this.status[k] = extra[k];
         }
+        this.emitEvent("status", this.status);
     }
 
     updateProcessingTime(resetTime) {
@@ -164,6 +190,16 @@ module.exports = class SingularTask extends AbstractTask {
         }
     }
 
+    // Singular tasks are short lived, cancel
+    // and restart them instead.
+    pause(cb) {
+        cb(new Error("Singular tasks cannot be paused"));
+    }
+
+    resume(cb) {
+        cb(new Error("Singular tasks cannot be paused"));
+    }
+
     start(done) {
         const parsedOptions = this.options.reduce((r, c) => { r[c.name] = c.value; return r; }, {});
         let taskOutputPath;
@@ -174,21 +210,22 @@ module.exports = class SingularTask extends AbstractTask {
                 "task_output.txt"
             );
 
-            fs.writeFileSync(taskOutputFile, this.output.join("\n"));
+            this.output.exportText(taskOutputFile, err => {
+                if (err) logger.warn(`Cannot write ${taskOutputFile}: ${err.message}`);
 
-            S3.uploadSingle(
-                taskOutputPath,
-                taskOutputFile,
-                (uploadError) => {
-                    if (uploadError) console.log(uploadError);
-                    else console.log('task_output file sent...');
+                this.uploadToStorage(
+                    taskOutputPath,
+                    taskOutputFile,
+                    (uploadError) => {
+                        if (uploadError) console.log(uploadError);
+                        else console.log('task_output file sent...');
 
-                    this.updateProgress(100);
-                    this.stopTrackingProcessingTime();
-                    done(error);
-                },
-                () => { }
-            )
+                        this.stopTrackingProcessingTime();
+                        done(error);
+                    },
+                    () => { }
+                )
+            });
         };
 
         const tasks = [];
@@ -198,19 +235,22 @@ module.exports = class SingularTask extends AbstractTask {
             this.dateStarted = new Date().getTime();
             this.setStatus(statusCodes.RUNNING);
 
+            // Inputs are downloaded from and results uploaded to storage
+            if (!this.getStorage()) tasks.push(cb => cb(new Error("No storage backend is configured")));
+
             switch (this.taskType) {
                 case 'pointcloud': {
-                    const { inputResourceId, outputResourceId, fileName, classify } = parsedOptions;
+                    const { fileName, classify } = parsedOptions;
 
-                    taskOutputPath = `project/${this.projectId}/resource/potree_pointcloud/${outputResourceId}/task_output.txt`;
+                    taskOutputPath = this.getStorageKey('task_output', parsedOptions);
 
                     tasks.push(cb => {
-                        this.output.push('downloading pointcloud...')
-                        S3.downloadPath(
-                            `project/${this.projectId}/resource/pointcloud/${inputResourceId}/${fileName}`,
+                        this.appendOutput('downloading pointcloud...')
+                        this.downloadFromStorage(
+                            this.getStorageKey('input', parsedOptions),
                             path.join(this.getProjectFolderPath(), fileName),
                             (err) => {
-                                if (!err) this.output.push('Done downloading pointcloud, continuing');
+                                if (!err) this.appendOutput('Done downloading pointcloud, continuing');
                                 cb(err);
                             },
                         )
@@ -224,32 +264,29 @@ module.exports = class SingularTask extends AbstractTask {
                     tasks.push((cb) => {
                         const potreePointcloudFolderPaths = fs.readdirSync(path.join(this.getProjectFolderPath(), "potree_pointcloud"));
 
-                        S3.uploadPaths(
+                        this.getStorage().uploadPaths(
                             path.join(this.getProjectFolderPath(), "potree_pointcloud"),
-                            config.s3Bucket,
-                            `project/${this.projectId}/resource/potree_pointcloud/${outputResourceId}`,
+                            this.getStorageKey('potree', parsedOptions),
                             potreePointcloudFolderPaths,
                             (err) => {
-                                if (!err) this.output.push('Done uploading potree_pointcloud, finalizing');
+                                if (!err) this.appendOutput('Done uploading potree_pointcloud, finalizing');
                                 cb(err);
                             },
-                            (output) => this.output.push(output)
+                            (output) => this.appendOutput(output)
                         )
                     });
                     break;
                 }
                 case 'orthophoto': {
-                    const { inputResourceId } = parsedOptions;
-
-                    taskOutputPath = `project/${this.projectId}/resource/orthophoto/${inputResourceId}/task_output.txt`;
+                    taskOutputPath = this.getStorageKey('task_output', parsedOptions);
 
                     tasks.push(cb => {
-                        this.output.push('downloading orthophoto...')
-                        S3.downloadPath(
-                            `project/${this.projectId}/resource/orthophoto/${inputResourceId}/orthophoto-cog.tif`,
+                        this.appendOutput('downloading orthophoto...')
+                        this.downloadFromStorage(
+                            this.getStorageKey('input', parsedOptions),
                             path.join(this.getProjectFolderPath(), 'orthophoto.tif'),
                             (err) => {
-                                if (!err) this.output.push('Done downloading orthophoto, continuing');
+                                if (!err) this.appendOutput('Done downloading orthophoto, continuing');
                                 cb(err);
                             },
                         )
@@ -258,31 +295,29 @@ module.exports = class SingularTask extends AbstractTask {
                     tasks.push(this.runProcess("orthophoto"));
 
                     tasks.push((cb) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/resource/orthophoto/${inputResourceId}/orthophoto-cog.tif`,
+                        this.uploadToStorage(
+                            this.getStorageKey('orthophoto', parsedOptions),
                             path.join(this.getProjectFolderPath(), 'orthophoto-cog.tif'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded orthophoto, finalizing');
+                                if (!err) this.appendOutput('Uploaded orthophoto, finalizing');
                                 cb(err);
                             },
-                            (output) => this.output.push(output)
+                            (output) => this.appendOutput(output)
                         )
                     });
 
                     break;
                 }
                 case 'mesh': {
-                    const { inputResourceId, outputResourceId } = parsedOptions;
-
-                    taskOutputPath = `project/${this.projectId}/resource/nexus/${outputResourceId}/task_output.txt`;
+                    taskOutputPath = this.getStorageKey('task_output', parsedOptions);
 
                     tasks.push(cb => {
-                        this.output.push('downloading mesh...')
-                        S3.downloadPath(
-                            `project/${this.projectId}/resource/mesh/${inputResourceId}/mesh.zip`,
+                        this.appendOutput('downloading mesh...')
+                        this.downloadFromStorage(
+                            this.getStorageKey('input', parsedOptions),
                             path.join(this.getProjectFolderPath(), 'mesh.zip'),
                             (err) => {
-                                if (!err) this.output.push('Done downloading mesh, extracting');
+                                if (!err) this.appendOutput('Done downloading mesh, extracting');
                                 cb(err);
                             },
                         )
@@ -293,7 +328,7 @@ module.exports = class SingularTask extends AbstractTask {
                             path.join(this.getProjectFolderPath(), 'mesh.zip'),
                             path.join(this.getProjectFolderPath(), 'mesh'),
                             (err) => {
-                                if (!err) this.output.push('Mesh extracted, processing...');
+                                if (!err) this.appendOutput('Mesh extracted, processing...');
                                 cb(err);
                             },
                         );
@@ -303,44 +338,44 @@ module.exports = class SingularTask extends AbstractTask {
                     tasks.push(this.runProcess("mesh_post"));
 
                     tasks.push((cb) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/resource/nexus/${outputResourceId}/nexus.nxz`,
+                        this.uploadToStorage(
+                            this.getStorageKey('nexus', parsedOptions),
                             path.join(this.getProjectFolderPath(), 'nexus.nxz'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded mesh, finalizing');
+                                if (!err) this.appendOutput('Uploaded mesh, finalizing');
                                 cb(err);
                             },
-                            (output) => this.output.push(output)
+                            (output) => this.appendOutput(output)
                         )
                     });
                     break;
                 }
                 case 'sg-compare': {
-                    const { prevResourceFilepath, nextResourceFilepath, outputResourcePointcloudId, outputResourcePotreePointcloudId } = parsedOptions;
+                    const { prevResourceFilepath, nextResourceFilepath, outputResourcePointcloudId } = parsedOptions;
 
-                    taskOutputPath = `project/${this.projectId}/resource/pointcloud/${outputResourcePointcloudId}/task_output.txt`;
+                    taskOutputPath = this.getStorageKey('task_output', parsedOptions);
                     let prevResourceFilename = `prev_${path.basename(prevResourceFilepath)}`;
                     let nextResourceFilename = `next_${path.basename(nextResourceFilepath)}`;
 
                     tasks.push(cb => {
-                        this.output.push('downloading previous pointcloud...');
-                        S3.downloadPath(
+                        this.appendOutput('downloading previous pointcloud...');
+                        this.downloadFromStorage(
                             prevResourceFilepath,
                             path.join(this.getProjectFolderPath(), prevResourceFilename),
                             (err) => {
-                                if (!err) this.output.push('Done downloading pointcloud, continuing');
+                                if (!err) this.appendOutput('Done downloading pointcloud, continuing');
                                 cb(err);
                             },
                         )
                     });
 
                     tasks.push(cb => {
-                        this.output.push('downloading next pointcloud...');
-                        S3.downloadPath(
+                        this.appendOutput('downloading next pointcloud...');
+                        this.downloadFromStorage(
                             nextResourceFilepath,
                             path.join(this.getProjectFolderPath(), nextResourceFilename),
                             (err) => {
-                                if (!err) this.output.push('Done downloading pointcloud, continuing');
+                                if (!err) this.appendOutput('Done downloading pointcloud, continuing');
                                 cb(err);
                             },
                         )
@@ -368,61 +403,58 @@ module.exports = class SingularTask extends AbstractTask {
                     tasks.push(this.runProcess("pointcloud_post", { fileName: 'pointcloud.las' }));
 
                     tasks.push((cb) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/resource/pointcloud/${outputResourcePointcloudId}/pointcloud.las`,
+                        this.uploadToStorage(
+                            this.getStorageKey('pointcloud', parsedOptions),
                             path.join(this.getProjectFolderPath(), 'pointcloud.las'),
                             (err) => {
-                                if (!err) this.output.push('Done uploading pointcloud, finalizing');
+                                if (!err) this.appendOutput('Done uploading pointcloud, finalizing');
                                 cb(err);
                             },
-                            (output) => this.output.push(output)
+                            (output) => this.appendOutput(output)
                         )
                     });
 
                     tasks.push((cb) => {
                         const potreePointcloudFolderPaths = fs.readdirSync(path.join(this.getProjectFolderPath(), "potree_pointcloud"));
 
-                        S3.uploadPaths(
+                        this.getStorage().uploadPaths(
                             path.join(this.getProjectFolderPath(), "potree_pointcloud"),
-                            config.s3Bucket,
-                            `project/${this.projectId}/resource/potree_pointcloud/${outputResourcePotreePointcloudId}`,
+                            this.getStorageKey('potree', parsedOptions),
                             potreePointcloudFolderPaths,
                             (err) => {
-                                if (!err) this.output.push('Done uploading potree_pointcloud, finalizing');
+                                if (!err) this.appendOutput('Done uploading potree_pointcloud, finalizing');
                                 cb(err);
                             },
-                            (output) => this.output.push(output)
+                            (output) => this.appendOutput(output)
                         )
                     });
 
                     break;
                 }
                 case 'ifc-convert': {
-                    const { inputResourceId, outputResourceId } = parsedOptions; // this might be wrong
-
-                    taskOutputPath = `project/${this.projectId}/resource/ifc-mesh/${outputResourceId}/task_output.txt`;
+                    taskOutputPath = this.getStorageKey('task_output', parsedOptions);
 
                     tasks.push(cb => {
-                        this.output.push('downloading mesh...')
-                        S3.downloadPath(
-                            `project/${this.projectId}/resource/bim/${inputResourceId}/bim.ifc`,
+                        this.appendOutput('downloading mesh...')
+                        this.downloadFromStorage(
+                            this.getStorageKey('input', parsedOptions),
                             path.join(this.getProjectFolderPath(), 'bim.ifc'),
                             (err) => {
-                                if (!err) this.output.push('Done downloading ifc, continuing');
+                                if (!err) this.appendOutput('Done downloading ifc, continuing');
                                 cb(err);
                             },
                         )
                     });
                     tasks.push(this.runProcess("ifc-convert"))
                     tasks.push((cb) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/resource/ifc-mesh/${outputResourceId}/bim.glb`,
+                        this.uploadToStorage(
+                            this.getStorageKey('mesh', parsedOptions),
                             path.join(this.getProjectFolderPath(), 'bim.glb'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded ifc-mesh, finalizing');
+                                if (!err) this.appendOutput('Uploaded ifc-mesh, finalizing');
                                 cb(err);
                             },
-                            (output) => this.output.push(output)
+                            (output) => this.appendOutput(output)
                         )
                     });
 
@@ -548,7 +580,7 @@ module.exports = class SingularTask extends AbstractTask {
                         }
                     },
                     (output) => {
-                        this.output.push(output);
+                        this.appendOutput(output);
                     }
                 )
             )
@@ -568,7 +600,7 @@ module.exports = class SingularTask extends AbstractTask {
             this.setStatus(statusCodes.QUEUED);
             this.dateCreated = new Date().getTime();
             this.dateStarted = 0;
-            this.output = [];
+            this.output.reset();
             this.progress = 0;
             this.stopTrackingProcessingTime(true);
             if (options !== undefined) this.options = options;
@@ -590,50 +622,25 @@ module.exports = class SingularTask extends AbstractTask {
             status: this.status,
             taskType: this.taskType,
             progress: this.progress,
+            priority: this.priority,
         };
     }
 
-    // Returns the output of the OpenDroneMap process
-    // Optionally starting from a certain line number
-    getOutput(startFromLine = 0) {
-        return this.output.slice(startFromLine, this.output.length);
+    // Singular tasks are lightweight, we don't hold them back
+    // waiting for memory.
+    getMemoryRequirement() {
+        return 0;
     }
 
-    callWebhooks() {
-        // Hooks can be passed via command line
-        // or for each individual task
-        // const hooks = [this.webhook, config.webhook];
-        const hooks = [this.webhook];
+    // Notifies webhooks of a status change (event omitted, see TaskManager.onTaskEvent)
+    // or of a progress update ("progress")
+    callWebhooks(event) {
         let json = this.getInfo();
 
+        if (!event) event = webhooks.statusEvent(this.status.code);
+        json.event = event;
 
-        hooks.forEach((hook) => {
-            if (hook && hook.length > 3) {
-                const notifyCallback = (attempt) => {
-                    if (attempt > 5) {
-                        logger.warn(
-                            `Webhook invokation failed, will not retry: ${hook}`
-                        );
-                        return;
-                    }
-
-                    request.post(hook, { json }, (error, response) => {
-                        if (error || response.statusCode != 200) {
-
-                            logger.warn(
-                                `Webhook invokation failed, will retry in a bit: ${hook}`
-                            );
-                            setTimeout(() => {
-                                notifyCallback(attempt + 1);
-                            }, attempt * 5000);
-                        } else {
-                            logger.debug(`Webhook invoked: ${hook}`);
-                        }
-                    });
-                };
-                notifyCallback(0);
-            }
-        });
+        webhooks.notify(this.uuid, this.webhook, event, json);
     }
 
     // Returns the data necessary to serialize this
@@ -646,40 +653,53 @@ module.exports = class SingularTask extends AbstractTask {
             options: this.options,
             dateCreated: this.dateCreated,
             dateStarted: this.dateStarted,
+            dateQueued: this.dateQueued,
             status: this.status,
+            priority: this.priority,
             taskType: this.taskType,
             webhook: this.webhook,
-            output: this.output
+            storage: this.storage || null
         };
     }
 
     static CreateFromSerialized(taskJson, done) {
-        new SingularTask(
+        const task = new SingularTask(
             taskJson.uuid,
             taskJson.projectId,
             taskJson.name,
             taskJson.options,
             taskJson.webhook,
             taskJson.taskType,
-            taskJson.output,
             taskJson.dateCreated,
-            (err, task) => {
-                if (err) done(err);
-                else {
-                    // Override default values with those
-                    // provided in the taskJson
-                    for (let k in taskJson) {
-                        task[k] = taskJson[k];
-                    }
+            taskJson.priority,
+            taskJson.storage
+        );
 
-                    // Tasks that were running should be put back to QUEUED state
-                    if (task.status.code === statusCodes.RUNNING) {
-                        task.status.code = statusCodes.QUEUED;
-                    }
-                    done(null, task);
+        async.series([
+            cb => task.output.load(cb),
+            cb => {
+                // Older versions kept the console output in the task list
+                if (Array.isArray(taskJson.output) && task.output.length === 0) {
+                    taskJson.output.forEach(line => task.output.append(line));
                 }
+                task.initialize(cb);
             }
-        );
+        ], err => {
+            if (err) done(err);
+            else {
+                // Override default values with those
+                // provided in the taskJson
+                for (let k in taskJson) {
+                    if (k !== "output") task[k] = taskJson[k];
+                }
+
+                // Tasks that were running should be put back to QUEUED state
+                if (task.status.code === statusCodes.RUNNING) {
+                    task.status.code = statusCodes.QUEUED;
+                }
+                done(null, task);
+            }
+        });
     }
 
 }
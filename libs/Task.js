@@ -22,17 +22,20 @@ const async = require('async');
 const os = require('os');
 const assert = require('assert');
 const logger = require('./logger');
+const webhooks = require('./webhooks');
 const fs = require('fs');
 const path = require('path');
 const rmdir = require('rimraf');
 const odmRunner = require('./odmRunner');
 const odmInfo = require('./odmInfo');
+const odmStages = require('./odmStages');
 const processRunner = require('./processRunner');
 const Directories = require('./Directories');
 const kill = require('tree-kill');
-const S3 = require('./S3');
-const request = require('request');
 const utils = require('./utils');
+const imageInfo = require('./imageInfo');
+const imageIngest = require('./imageIngest');
+const linkSources = require('./linkSources');
 const archiver = require('archiver');
 
 const stream = require("stream");
@@ -44,6 +47,42 @@ const utm = require("utm");
 
 const statusCodes = require('./statusCodes');
 const AbstractTask = require('./AbstractTask');
+const TaskOutput = require('./TaskOutput');
+
+// Rough memory usage estimates (in MB) used to decide
+// whether a task can be started. Per image usage depends mostly on
+// the point cloud quality and is scaled by the feature quality.
+const BASE_MEMORY_REQUIREMENT = 2048;
+const PC_QUALITY_MEMORY_PER_IMAGE = { ultra: 64, high: 24, medium: 8, low: 4, lowest: 2 };
+const FEATURE_QUALITY_MEMORY_FACTOR = { ultra: 2, high: 1, medium: 0.75, low: 0.5, lowest: 0.4 };
+
+// Share of the task progress (%) taken by the download of the images
+// of imageLinks and by ODM (the rest is for post processing)
+const INGEST_PROGRESS = 10;
+const ODM_PROGRESS = 90;
+
+// All paths are relative to the project directory (./data/<uuid>/)
+const OUTPUT_PATHS = ['odm_orthophoto/odm_orthophoto.tif',
+    'odm_orthophoto/odm_orthophoto.tfw',
+    'odm_orthophoto/odm_orthophoto.png',
+    'odm_orthophoto/odm_orthophoto.wld',
+    'odm_orthophoto/odm_orthophoto.mbtiles',
+    'odm_orthophoto/odm_orthophoto.kmz',
+    'odm_orthophoto/odm_orthophoto_extent.dxf',
+    'odm_orthophoto/cutline.gpkg',
+    'odm_georeferencing', 'odm_texturing',
+    'odm_dem/dsm.tif', 'odm_dem/dtm.tif', 'dsm_tiles', 'dtm_tiles',
+    'odm_dem/dsm.euclideand.tif', 'odm_dem/dtm.euclideand.tif',
+    'orthophoto_tiles', 'potree_pointcloud', 'entwine_pointcloud',
+    '3d_tiles',
+    'images.json', 'cameras.json',
+    'task_output.txt', 'log.json',
+    'odm_report'];
+
+// Outputs of the post processing steps (in addition to OUTPUT_PATHS)
+const POST_PROCESSING_PATHS = ['odm_orthophoto/odm_orthophoto-cog.tif',
+    'nexus', 'opensfm/reconstruction.json', 'opensfm/tracks.csv',
+    'all.zip', 'mesh.zip'];
 
 module.exports = class Task extends AbstractTask {
     constructor(
@@ -55,9 +94,10 @@ module.exports = class Task extends AbstractTask {
         webhook = null,
         skipPostProcessing = true,
         outputs = [],
-        output,
         dateCreated = new Date().getTime(),
-        imagesCountEstimate = -1
+        imagesCountEstimate = -1,
+        priority = 0,
+        storage = null
     ) {
         super();
 
@@ -72,26 +112,35 @@ module.exports = class Task extends AbstractTask {
             ? new Date().getTime()
             : parseInt(dateCreated);
         this.dateStarted = 0;
+        this.dateQueued = 0;
         this.processingTime = -1;
+        this.priority = parseInt(priority) || 0;
         this.setStatus(statusCodes.RUNNING);
         this.options = options;
         this.gcpFiles = [];
         this.geoFiles = [];
         this.alignFiles = [];
         this.imageGroupsFiles = [];
-        this.output = output || [];
+        this.output = new TaskOutput(path.join(this.getProjectFolderPath(), "task_output.log"));
         this.runningProcesses = [];
         this.webhook = webhook;
+        this.storage = storage; // Storage settings (see storage/factory.parseSettings), null to use the default storage
         this.skipPostProcessing = skipPostProcessing;
         this.outputs = utils.parseUnsafePathsList(outputs);
         this.progress = 0;
+        this.rerunFrom = null; // ODM stage to restart processing from
+        this.resumedFrom = null; // ODM stage that processing was last resumed from
+        this.postProcessing = false;
+        this.stopping = false;
+        this.imagesDownloaded = false; // Whether the images of imageLinks have all been downloaded
 
         this.imagesCountEstimate = imagesCountEstimate;
         this.initialized = false;
         this.onInitialize = []; // Events to trigger on initialization
     }
 
-    initialize(done, additionalSteps = []) {
+    // @param restored {Boolean} whether the task is being restored from the task store
+    initialize(done, additionalSteps = [], restored = false) {
         async.series(additionalSteps.concat(this.setPostProcessingOptsSteps(), [
             // Read images info
             cb => {
@@ -130,6 +179,13 @@ module.exports = class Task extends AbstractTask {
                         cb(null);
                     }
                 });
+            },
+
+            // Read images metadata. Images are inspected once, restored
+            // tasks use the summary that was written back then.
+            cb => {
+                if (restored) this.loadImagesSummary(cb);
+                else this.inspectImages(cb);
             }
         ]), err => {
             // Status might have changed due to user action
@@ -185,24 +241,45 @@ module.exports = class Task extends AbstractTask {
             taskJson.webhook,
             taskJson.skipPostProcessing,
             taskJson.outputs,
-            taskJson.output,
-            taskJson.dateCreated
+            taskJson.dateCreated,
+            undefined,
+            taskJson.priority,
+            taskJson.storage
         );
 
-        task.initialize((err, task) => {
+        async.series([
+            cb => task.output.load(cb),
+            cb => {
+                // Older versions kept the console output in the task list
+                if (Array.isArray(taskJson.output) && task.output.length === 0) {
+                    taskJson.output.forEach(line => task.output.append(line));
+                }
+                task.initialize(cb, [], true);
+            }
+        ], err => {
             if (err) done(err);
             else {
                 // Override default values with those
                 // provided in the taskJson
                 for (let k in taskJson) {
-                    task[k] = taskJson[k];
+                    if (k !== "output") task[k] = taskJson[k];
                 }
 
                 // Tasks that were running should be put back to QUEUED state
+                // and continue from the furthest stage that ODM completed
                 if (task.status.code === statusCodes.RUNNING) {
                     task.status.code = statusCodes.QUEUED;
-                }
-                done(null, task);
+
+                    odmStages.lastCompletedStageFromProjectFolder(task.getProjectFolderPath(), (err, stage) => {
+                        if (err) logger.warn(`Cannot find completed stages for ${task.uuid}: ${err.message}`);
+                        else if (stage) {
+                            task.rerunFrom = task.resumedFrom = odmStages.nextStage(stage);
+                            task.appendOutput(`Node restarted, processing will resume from the ${task.rerunFrom} stage (${stage} stage was already completed)`);
+                            logger.info(`Task ${task.uuid} will resume from the ${task.rerunFrom} stage`);
+                        }
+                        done(null, task);
+                    });
+                } else done(null, task);
             }
         });
     }
@@ -219,6 +296,116 @@ module.exports = class Task extends AbstractTask {
         return path.join(this.getProjectFolderPath(), "gcp");
     }
 
+    // Get path of the summary of the images written by inspectImages
+    getImagesSummaryPath() {
+        return path.join(this.getProjectFolderPath(), "images_summary.json");
+    }
+
+    // Reads the EXIF/XMP metadata of the images and writes a summary of each image.
+    // Images that cannot be read are moved to the "rejected" folder, unless
+    // --strict_images is set, in which case a bad dataset fails the task.
+    inspectImages(done) {
+        const hasGeoFile = this.geoFiles.length > 0;
+        const names = items => {
+            const list = items.slice(0, 5).map(item => item.name).join(", ");
+            return items.length > 5 ? `${list}, ...` : list;
+        };
+
+        async.waterfall([
+            cb => imageInfo.inspect(this.getImagesFolderPath(), hasGeoFile, cb),
+            (summary, cb) => {
+                utils.writeFileAtomic(this.getImagesSummaryPath(), JSON.stringify(summary), err => cb(err, summary));
+            },
+            (summary, cb) => {
+                summary.warnings.forEach(warning => this.output.append(`Warning: ${warning}`));
+
+                const problems = [];
+                if (config.strictImages) {
+                    const notGeotagged = summary.images.filter(image => !image.gps);
+                    if (summary.rejected.length) problems.push(`${summary.rejected.length} images cannot be read (${names(summary.rejected)})`);
+                    if (summary.ignored.length) problems.push(`${summary.ignored.length} files are not images (${names(summary.ignored)})`);
+                    if (notGeotagged.length && !hasGeoFile) problems.push(`${notGeotagged.length} images have no geotags (${names(notGeotagged)})`);
+                }
+
+                if (problems.length) cb(new Error(`Invalid images: ${problems.join(", ")}`));
+                else if (!summary.rejected.length) cb(null, summary);
+                else {
+                    const rejectedPath = path.join(this.getProjectFolderPath(), "rejected");
+                    fs.mkdir(rejectedPath, { recursive: true }, err => {
+                        if (err) cb(err);
+                        else {
+                            async.eachSeries(summary.rejected, (image, cb) => {
+                                this.output.append(`Excluding ${image.name} from processing: ${image.error}`);
+                                fs.rename(path.join(this.getImagesFolderPath(), image.name), path.join(rejectedPath, image.name), cb);
+                            }, err => cb(err, summary));
+                        }
+                    });
+                }
+            }
+        ], (err, summary) => {
+            if (!err) {
+                this.images = summary.images.map(image => image.name);
+                logger.debug(`Inspected ${this.images.length} images for ${this.uuid}, ${summary.rejected.length} rejected`);
+            }
+            done(err);
+        });
+    }
+
+    // Downloads the images of imageLinks and inspects them. Images that were
+    // downloaded before the task was paused or the node restarted are kept.
+    // @param done {Function} callback(err), the task stopped if imagesDownloaded is still false
+    ingestImages(done) {
+        imageIngest.download(linkSources.source(this.storage), this.imageLinks, this.getImagesFolderPath(), {
+            partsFolder: path.join(this.getProjectFolderPath(), "images_download"),
+            concurrency: config.imageDownloadConcurrency,
+            retries: config.imageDownloadRetries,
+            onProgress: (count, total) => this.updateProgress(INGEST_PROGRESS * count / total),
+            onOutput: line => this.appendOutput(line),
+            shouldStop: () => this.status.code !== statusCodes.RUNNING
+        }, (err, stopped) => {
+            if (err) done(new Error(`Cannot download images: ${err.message}`));
+            else if (stopped) done();
+            else {
+                this.imagesDownloaded = true;
+                this.inspectImages(done);
+            }
+        });
+    }
+
+    // ODM reports progress from 0 to 100, which is mapped to the
+    // share of the task that follows the download of the images
+    odmProgress(globalProgress) {
+        const start = this.imageLinks.length ? INGEST_PROGRESS : 0;
+        return start + globalProgress * (ODM_PROGRESS - start) / 100;
+    }
+
+    // Sets the list of images from the summary written by inspectImages. Tasks
+    // that have no (readable) summary keep the list of files of the images folder.
+    // @param done {Function} callback(err), never fails
+    loadImagesSummary(done) {
+        this.getImagesSummary((err, summary) => {
+            if (err) logger.debug(`Cannot load the images summary of ${this.uuid}: ${err.message}`);
+            else if (Array.isArray(summary.images)) this.images = summary.images.map(image => image.name);
+            done();
+        });
+    }
+
+    // @param done {Function} callback(err, summary) (see imageInfo.inspect)
+    getImagesSummary(done) {
+        fs.readFile(this.getImagesSummaryPath(), 'utf8', (err, data) => {
+            if (err) {
+                if (err.code === 'ENOENT') done(new Error("Images have not been inspected"));
+                else done(err);
+            } else {
+                try {
+                    done(null, JSON.parse(data));
+                } catch (e) {
+                    done(new Error(`Malformed ${path.basename(this.getImagesSummaryPath())}`));
+                }
+            }
+        });
+    }
+
     // Get path of project (where all images and assets folder are contained)
     // (relative to nodejs process CWD)
     getProjectFolderPath() {
@@ -239,8 +426,17 @@ module.exports = class Task extends AbstractTask {
         return path.join(this.getProjectFolderPath(), filename);
     }
 
+    getOutputPipeline() {
+        return "process";
+    }
+
+    getAssetPaths() {
+        return OUTPUT_PATHS.concat(POST_PROCESSING_PATHS, this.outputs);
+    }
+
     // Deletes files and folders related to this task
     cleanup(cb) {
+        this.output.close();
         if (this.initialized) rmdir(this.getProjectFolderPath(), cb);
         else this.onInitialize.push(() => {
             rmdir(this.getProjectFolderPath(), cb);
@@ -248,12 +444,23 @@ module.exports = class Task extends AbstractTask {
     }
 
     setStatus(code, extra) {
+        // Keep track of when the task entered the queue
+        // (used by TaskManager for priority aging)
+        if (code === statusCodes.QUEUED && (!this.status || this.status.code !== statusCodes.QUEUED)) {
+            this.dateQueued = new Date().getTime();
+        }
+
+        // Completed tasks reach 100% before their status changes,
+        // so that the status is the last update webhooks receive
+        if (code === statusCodes.COMPLETED) this.updateProgress(100);
+
         this.status = {
             code: code,
         };
         for (let k in extra) {
             this.status[k] = extra[k];
         }
+        this.emitEvent("status", this.status);
     }
 
     updateProgress(globalProgress) {
@@ -262,12 +469,13 @@ module.exports = class Task extends AbstractTask {
         // Progress updates are asynchronous (via UDP)
         // so things could be out of order. We ignore all progress
         // updates that are lower than what we might have previously received.
-        if (globalProgress >= this.progress) {
+        if (globalProgress > this.progress) {
             this.progress = globalProgress;
+            this.emitEvent("progress", this.progress);
         }
 
         const endWithOption = this.options.filter(e => e.name === 'end-with');
-        if (!(endWithOption && endWithOption.value === 'opensfm')) this.callWebhooks(); // no need to send progress for initial progressing
+        if (!(endWithOption && endWithOption.value === 'opensfm')) this.callWebhooks("progress"); // no need to send progress for initial progressing
     }
 
     updateProcessingTime(resetTime) {
@@ -305,6 +513,10 @@ module.exports = class Task extends AbstractTask {
         return this.status.code === statusCodes.RUNNING;
     }
 
+    isPaused() {
+        return this.status.code === statusCodes.PAUSED;
+    }
+
     // Cancels the current task (unless it's already canceled)
     cancel(cb) {
         if (this.status.code !== statusCodes.CANCELED) {
@@ -331,6 +543,63 @@ module.exports = class Task extends AbstractTask {
         }
     }
 
+    // Pauses a task while ODM is processing it. Running processes
+    // are stopped and the task releases its processing slot once they exit.
+    // Processing can continue later with resume().
+    pause(cb) {
+        if (this.status.code !== statusCodes.RUNNING || !this.initialized || this.reoptimize || this.postProcessing) {
+            cb(new Error("Only tasks that are being processed by ODM can be paused"));
+            return;
+        }
+
+        this.setStatus(statusCodes.PAUSED);
+        this.stopping = true;
+        this.runningProcesses.forEach((proc) => {
+            // During testing, proc is undefined
+            if (proc) kill(proc.pid);
+        });
+        this.runningProcesses = [];
+        this.appendOutput("Task paused");
+
+        this.stopTrackingProcessingTime();
+        cb(null);
+    }
+
+    // Puts a paused task back into the queue. Processing
+    // will restart from the stage following the last completed stage.
+    resume(cb) {
+        if (this.status.code !== statusCodes.PAUSED) {
+            cb(new Error("Task is not paused"));
+            return;
+        }
+        if (this.stopping) {
+            cb(new Error("Task is still stopping, try again in a few seconds"));
+            return;
+        }
+
+        const resumeFrom = (stage) => {
+            this.rerunFrom = this.resumedFrom = odmStages.nextStage(stage);
+            if (this.rerunFrom) this.appendOutput(`Task resumed, processing will restart from the ${this.rerunFrom} stage`);
+            else this.appendOutput("Task resumed, processing will restart from the beginning");
+
+            this.setStatus(statusCodes.QUEUED);
+            cb(null);
+        };
+
+        this.getOutput(0, (err, output) => {
+            const stage = !err ? odmStages.lastCompletedStageFromOutput(output) : null;
+            if (this.status.code !== statusCodes.PAUSED) cb(new Error("Task is not paused"));
+            else if (stage) resumeFrom(stage);
+            else {
+                odmStages.lastCompletedStageFromProjectFolder(this.getProjectFolderPath(), (err, stage) => {
+                    if (err) cb(err);
+                    else if (this.status.code !== statusCodes.PAUSED) cb(new Error("Task is not paused"));
+                    else resumeFrom(stage);
+                });
+            }
+        });
+    }
+
     // Starts processing the task with OpenDroneMap
     // This will spawn a new process.
     start(done) {
@@ -341,27 +610,39 @@ module.exports = class Task extends AbstractTask {
                 "task_output.txt"
             );
 
-            fs.writeFileSync(taskOutputFile, this.output.join("\n"));
+            const finish = () => {
+                this.stopTrackingProcessingTime();
+                done(error);
+            };
 
-            S3.uploadSingle(
-                `project/${this.projectId}/process/${this.uuid}/task_output.txt`,
-                taskOutputFile,
-                (uploadError) => {
-                    if (uploadError) console.log(uploadError);
-                    else console.log('task_output file sent...');
+            this.output.exportText(taskOutputFile, err => {
+                if (err) logger.warn(`Cannot write ${taskOutputFile}: ${err.message}`);
 
-                    this.updateProgress(100);
-                    this.stopTrackingProcessingTime();
-                    done(error);
-                },
-                () => { }
-            )
+                const storage = this.getStorage();
+                if (!storage) {
+                    finish();
+                    return;
+                }
+
+                storage.upload(
+                    this.getStorageKey('task_output'),
+                    taskOutputFile,
+                    (uploadError) => {
+                        if (uploadError) console.log(uploadError);
+                        else console.log('task_output file sent...');
+                        finish();
+                    },
+                    () => { }
+                )
+            });
         };
 
         const postProcess = () => {
+            this.postProcessing = true;
+
             const createZipArchive = (outputFilename, files) => {
                 return (done) => {
-                    this.output.push(`Compressing ${outputFilename}\n`);
+                    this.appendOutput(`Compressing ${outputFilename}\n`);
 
                     const zipFile = path.resolve(this.getAssetsArchivePath(outputFilename));
                     const sourcePath = !config.test ?
@@ -405,7 +686,7 @@ module.exports = class Task extends AbstractTask {
 
             const createZipArchiveLegacy = (outputFilename, files) => {
                 return (done) => {
-                    this.output.push(`Compressing ${outputFilename}\n`);
+                    this.appendOutput(`Compressing ${outputFilename}\n`);
 
                     let output = fs.createWriteStream(
                         this.getAssetsArchivePath(outputFilename)
@@ -501,28 +782,12 @@ module.exports = class Task extends AbstractTask {
                             }
                         },
                             (output) => {
-                                this.output.push(output);
+                                this.appendOutput(output);
                             }))
                 };
             };
 
-            // All paths are relative to the project directory (./data/<uuid>/)
-            let allPaths = ['odm_orthophoto/odm_orthophoto.tif',
-                'odm_orthophoto/odm_orthophoto.tfw',
-                'odm_orthophoto/odm_orthophoto.png',
-                'odm_orthophoto/odm_orthophoto.wld',
-                'odm_orthophoto/odm_orthophoto.mbtiles',
-                'odm_orthophoto/odm_orthophoto.kmz',
-                'odm_orthophoto/odm_orthophoto_extent.dxf',
-                'odm_orthophoto/cutline.gpkg',
-                'odm_georeferencing', 'odm_texturing',
-                'odm_dem/dsm.tif', 'odm_dem/dtm.tif', 'dsm_tiles', 'dtm_tiles',
-                'odm_dem/dsm.euclideand.tif', 'odm_dem/dtm.euclideand.tif',
-                'orthophoto_tiles', 'potree_pointcloud', 'entwine_pointcloud',
-                '3d_tiles',
-                'images.json', 'cameras.json',
-                'task_output.txt', 'log.json',
-                'odm_report'];
+            let allPaths = OUTPUT_PATHS.slice();
 
             // Did the user request different outputs than the default?
             if (this.outputs.length > 0) allPaths = this.outputs;
@@ -599,15 +864,14 @@ module.exports = class Task extends AbstractTask {
                 const reconstructionArray = [];
                 jsonStream.on("data", ({ value }) => reconstructionArray.push(value));
                 jsonStream.on("end", () => {
-                    S3.uploadSingle(
-                        `project/${this.projectId}/process/${this.uuid}/ai/reconstruction.json`,
+                    this.uploadToStorage(
+                        this.getStorageKey('reconstruction'),
                         reconstructionArray,
                         (err) => {
-                            if (!err) this.output.push('Uploaded reconstruction.json, continuing');
+                            if (!err) this.appendOutput('Uploaded reconstruction.json, continuing');
 
                             this.stopTrackingProcessingTime();
                             this.setStatus(statusCodes.COMPLETED);
-                            this.callWebhooks();
                             done();
                         }
                     )
@@ -649,8 +913,9 @@ module.exports = class Task extends AbstractTask {
             if (!this.projectId)
                 tasks.push(archiveFunc("all.zip", allPaths));
 
-            // Upload to S3 all paths + all.zip file (if config says so)
-            if (S3.enabled()) {
+            // Upload to storage all paths + all.zip file (if config says so)
+            const storage = this.getStorage();
+            if (storage) {
                 if (!this.projectId) {
                     // regular s3 upload
                     tasks.push((done) => {
@@ -661,43 +926,43 @@ module.exports = class Task extends AbstractTask {
                             s3Paths = ["all.zip"];
                         }
 
-                        S3.uploadPaths(
+                        storage.uploadPaths(
                             this.getProjectFolderPath(),
-                            config.s3Bucket,
                             this.uuid,
                             s3Paths,
                             (err) => {
-                                if (!err) this.output.push("Done uploading to S3!");
+                                if (!err) this.appendOutput(`Done uploading to ${storage.name}!`);
                                 done(err);
                             },
-                            (output) => this.output.push(output)
+                            (output) => this.appendOutput(output)
                         );
                     });
                 } else {
                     // sg s3 uplaod
                     if (allPaths.includes('odm_georeferencing') || allPaths.includes('odm_georeferencing/odm_georeferenced_model.laz')) {
                         tasks.push((done) => {
-                            S3.uploadSingle(
-                                `project/${this.projectId}/process/${this.uuid}/pointcloud/${this.uuid}_pointcloud.laz`,
+                            storage.upload(
+                                this.getStorageKey('pointcloud'),
                                 path.join(this.getProjectFolderPath(), 'odm_georeferencing', 'odm_georeferenced_model.laz'),
                                 (err) => {
-                                    if (!err) this.output.push('Uploaded pointcloud, continuing')
+                                    if (!err) this.appendOutput('Uploaded pointcloud, continuing')
                                     done(err);
                                 },
-                                (output) => this.output.push(output)
+                                (output) => this.appendOutput(output)
                             )
                         });
                         tasks.push((done) => {
-                            S3.uploadPaths(
-                                this.getProjectFolderPath(),
-                                config.s3Bucket,
-                                `project/${this.projectId}/process/${this.uuid}`,
-                                ['potree_pointcloud'],
+                            const potreeFolder = path.join(this.getProjectFolderPath(), 'potree_pointcloud');
+
+                            storage.uploadPaths(
+                                potreeFolder,
+                                this.getStorageKey('potree'),
+                                fs.existsSync(potreeFolder) ? fs.readdirSync(potreeFolder) : [],
                                 (err) => {
-                                    if (!err) this.output.push('Done uploading potree_pointcloud, continuing');
+                                    if (!err) this.appendOutput('Done uploading potree_pointcloud, continuing');
                                     done(err);
                                 },
-                                (output) => this.output.push(output)
+                                (output) => this.appendOutput(output)
                             )
                         });
                         tasks.push(done => {
@@ -708,14 +973,14 @@ module.exports = class Task extends AbstractTask {
 
                     if (allPaths.includes('odm_orthophoto') || allPaths.includes('odm_orthophoto/odm_orthophoto.tif')) {
                         tasks.push((done) => {
-                            S3.uploadSingle(
-                                `project/${this.projectId}/process/${this.uuid}/orthophoto/orthophoto-cog.tif`,
+                            storage.upload(
+                                this.getStorageKey('orthophoto'),
                                 path.join(this.getProjectFolderPath(), 'odm_orthophoto', 'odm_orthophoto-cog.tif'),
                                 (err) => {
-                                    if (!err) this.output.push('Uploaded orthophoto, continuing');
+                                    if (!err) this.appendOutput('Uploaded orthophoto, continuing');
                                     done(err);
                                 },
-                                (output) => this.output.push(output)
+                                (output) => this.appendOutput(output)
                             )
                         });
 
@@ -727,8 +992,8 @@ module.exports = class Task extends AbstractTask {
 
                     if (allPaths.includes("odm_dem/dsm.tif")) {
                         tasks.push((done) => {
-                            S3.uploadSingle(
-                                `project/${this.projectId}/process/${this.uuid}/dem/dsm.tif`,
+                            storage.upload(
+                                this.getStorageKey('dsm'),
                                 path.join(
                                     this.getProjectFolderPath(),
                                     "odm_dem",
@@ -736,12 +1001,12 @@ module.exports = class Task extends AbstractTask {
                                 ),
                                 (err) => {
                                     if (!err)
-                                        this.output.push(
+                                        this.appendOutput(
                                             "Uploaded dsm, continuing"
                                         );
                                     done(err);
                                 },
-                                (output) => this.output.push(output)
+                                (output) => this.appendOutput(output)
                             );
                         });
 
@@ -753,8 +1018,8 @@ module.exports = class Task extends AbstractTask {
 
                     if (allPaths.includes("odm_dem/dtm.tif")) {
                         tasks.push((done) => {
-                            S3.uploadSingle(
-                                `project/${this.projectId}/process/${this.uuid}/dem/dtm.tif`,
+                            storage.upload(
+                                this.getStorageKey('dtm'),
                                 path.join(
                                     this.getProjectFolderPath(),
                                     "odm_dem",
@@ -762,12 +1027,12 @@ module.exports = class Task extends AbstractTask {
                                 ),
                                 (err) => {
                                     if (!err)
-                                        this.output.push(
+                                        this.appendOutput(
                                             "Uploaded dtm, continuing"
                                         );
                                     done(err);
                                 },
-                                (output) => this.output.push(output)
+                                (output) => this.appendOutput(output)
                             );
                         });
 
@@ -827,14 +1092,14 @@ module.exports = class Task extends AbstractTask {
                         });
 
                         tasks.push((done) => {
-                            S3.uploadSingle(
-                                `project/${this.projectId}/process/${this.uuid}/mesh/mesh.zip`,
+                            storage.upload(
+                                this.getStorageKey('mesh'),
                                 this.getAssetsArchivePath('mesh.zip'),
                                 (err) => {
-                                    if (!err) this.output.push('Uploaded mesh.zip, continuing');
+                                    if (!err) this.appendOutput('Uploaded mesh.zip, continuing');
                                     done(err);
                                 },
-                                (output) => this.output.push(output)
+                                (output) => this.appendOutput(output)
                             )
                         });
 
@@ -844,14 +1109,14 @@ module.exports = class Task extends AbstractTask {
                         });
 
                         tasks.push((done) => {
-                            S3.uploadSingle(
-                                `project/${this.projectId}/process/${this.uuid}/nexus/nexus.nxz`,
+                            storage.upload(
+                                this.getStorageKey('nexus'),
                                 path.join(this.getProjectFolderPath(), 'nexus', 'nexus.nxz'),
                                 (err) => {
-                                    if (!err) this.output.push('Uploaded nexus.nxz, continuing');
+                                    if (!err) this.appendOutput('Uploaded nexus.nxz, continuing');
                                     done(err);
                                 },
-                                (output) => this.output.push(output)
+                                (output) => this.appendOutput(output)
                             )
                         });
 
@@ -862,55 +1127,55 @@ module.exports = class Task extends AbstractTask {
                     }
 
                     tasks.push((done) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/process/${this.uuid}/ai/tracks.csv`,
+                        storage.upload(
+                            this.getStorageKey('tracks'),
                             path.join(this.getProjectFolderPath(), 'opensfm', 'tracks.csv'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded tracks.csv, continuing');
+                                if (!err) this.appendOutput('Uploaded tracks.csv, continuing');
                                 done(err);
                             }
                         )
                     });
 
                     tasks.push((done) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/process/${this.uuid}/ai/reconstruction.json`,
+                        storage.upload(
+                            this.getStorageKey('reconstruction'),
                             path.join(this.getProjectFolderPath(), 'opensfm', 'reconstruction.json'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded reconstruction.json, continuing');
+                                if (!err) this.appendOutput('Uploaded reconstruction.json, continuing');
                                 done(err);
                             }
                         )
                     });
 
                     tasks.push((done) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/process/${this.uuid}/report/report.pdf`,
+                        storage.upload(
+                            this.getStorageKey('report'),
                             path.join(this.getProjectFolderPath(), 'odm_report', 'report.pdf'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded report.pdf, continuing');
+                                if (!err) this.appendOutput('Uploaded report.pdf, continuing');
                                 done(err);
                             }
                         )
                     });
 
                     tasks.push((done) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/process/${this.uuid}/report/stats.json`,
+                        storage.upload(
+                            this.getStorageKey('stats'),
                             path.join(this.getProjectFolderPath(), 'odm_report', 'stats.json'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded stats.json, finishing');
+                                if (!err) this.appendOutput('Uploaded stats.json, finishing');
                                 done(err);
                             }
                         )
                     });
 
                     tasks.push((done) => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/process/${this.uuid}/report/shots.geojson`,
+                        storage.upload(
+                            this.getStorageKey('shots'),
                             path.join(this.getProjectFolderPath(), 'odm_report', 'shots.geojson'),
                             (err) => {
-                                if (!err) this.output.push('Uploaded shots.geojson, finishing');
+                                if (!err) this.appendOutput('Uploaded shots.geojson, finishing');
                                 done(err);
                             }
                         )
@@ -933,7 +1198,14 @@ module.exports = class Task extends AbstractTask {
             this.startTrackingProcessingTime();
             this.dateStarted = new Date().getTime();
             this.setStatus(statusCodes.RUNNING);
-            this.callWebhooks();
+            this.postProcessing = false;
+
+            // Results could not be uploaded (the storage profile of the task might have been removed)
+            if (this.storage && !this.getStorage()) {
+                this.setStatus(statusCodes.FAILED, { errorMessage: "Invalid storage settings" });
+                finished(new Error("Invalid storage settings"));
+                return true;
+            }
 
             if (this.reoptimize) {
                 const tasks = [];
@@ -963,11 +1235,11 @@ module.exports = class Task extends AbstractTask {
                     const reconstructionArray = [];
                     jsonStream.on("data", ({ value }) => reconstructionArray.push(value));
                     jsonStream.on("end", () => {
-                        S3.uploadSingle(
-                            `project/${this.projectId}/process/${this.uuid}/ai/reconstruction.json`,
+                        this.uploadToStorage(
+                            this.getStorageKey('reconstruction'),
                             reconstructionArray,
                             (err) => {
-                                if (!err) this.output.push('Uploaded reconstruction.json, continuing');
+                                if (!err) this.appendOutput('Uploaded reconstruction.json, continuing');
 
                                 this.stopTrackingProcessingTime();
                                 this.setStatus(statusCodes.COMPLETED);
@@ -1000,25 +1272,25 @@ module.exports = class Task extends AbstractTask {
 
             runnerOptions["project-path"] = fs.realpathSync(Directories.data);
 
-            const downloadTasks = this.imageLinks.length && !this.imagesDownloaded ? this.imageLinks.map(dlLink => cb => {
-                const imageName = dlLink.split('/').pop();
-                const p = path.join(this.getImagesFolderPath(), imageName);
-                this.output.push(`downloading ${p} ...`);
-                S3.downloadPath(dlLink, p, (err) => {
-                    if (err) cb(err);
-                    else cb(null)
-                })
-            }) : [cb => cb(null)];
+            const ingest = this.imageLinks.length && !this.imagesDownloaded ?
+                cb => this.ingestImages(cb) :
+                cb => cb(null);
 
-            async.parallelLimit(downloadTasks, 4, (err) => {
+            ingest((err) => {
                 if (err) {
-                    this.setStatus(statusCodes.FAILED, {
-                        errorMessage: `Could not download using imageLinks : (${err.message})`,
-                    });
+                    this.setStatus(statusCodes.FAILED, { errorMessage: err.message });
                     finished(err);
+                } else if (this.isPaused()) {
+                    // Will continue downloading when the task is resumed
+                    this.stopping = false;
+                    done();
+                } else if (this.status.code === statusCodes.CANCELED) {
+                    finished();
                 } else {
-                    this.imagesDownloaded = true;
-                    // TODO update this.images
+                    if (this.rerunFrom) {
+                        runnerOptions["rerun-from"] = this.rerunFrom;
+                        this.rerunFrom = null;
+                    }
 
                     if (this.outputs.length && this.outputs.includes("odm_dem/dtm.tif"))
                         runnerOptions["dtm"] = true;
@@ -1043,6 +1315,10 @@ module.exports = class Task extends AbstractTask {
                         if (err) {
                             this.setStatus(statusCodes.FAILED, { errorMessage: `Could not start process (${err.message})` });
                             finished(err);
+                        } else if (this.isPaused()) {
+                            // Will continue when the task is resumed
+                            this.stopping = false;
+                            done();
                         } else {
                             // Don't evaluate if we caused the process to exit via SIGINT?
                             if (this.status.code !== statusCodes.CANCELED) {
@@ -1086,7 +1362,7 @@ module.exports = class Task extends AbstractTask {
                                 .trim()
                                 .split("\n")
                                 .forEach((line) => {
-                                    this.output.push(line.trim());
+                                    this.appendOutput(line.trim());
                                 });
                         })
                     );
@@ -1122,7 +1398,7 @@ module.exports = class Task extends AbstractTask {
                         }
                     },
                     (output) => {
-                        this.output.push(output);
+                        this.appendOutput(output);
                     }
                 )
             )
@@ -1201,7 +1477,7 @@ module.exports = class Task extends AbstractTask {
                         }
                     },
                     (output) => {
-                        this.output.push(output);
+                        this.appendOutput(output);
                     }
                 )
             )
@@ -1213,6 +1489,11 @@ module.exports = class Task extends AbstractTask {
     // if reoptimize is true, only bundle adjustment will be run
     // unless they are being initialized, in which case we switch them back to running
     restart(options, cb) {
+        if (this.isPaused() && this.stopping) {
+            cb(new Error("Task is still stopping, try again in a few seconds"));
+            return;
+        }
+
         if (!this.initialized && this.status.code === statusCodes.CANCELED) {
             this.setStatus(statusCodes.RUNNING);
             if (options !== undefined) {
@@ -1221,12 +1502,13 @@ module.exports = class Task extends AbstractTask {
             } else {
                 cb();
             }
-        } else if ([statusCodes.CANCELED, statusCodes.FAILED, statusCodes.COMPLETED].indexOf(this.status.code) !== -1) {
+        } else if ([statusCodes.CANCELED, statusCodes.FAILED, statusCodes.COMPLETED, statusCodes.PAUSED].indexOf(this.status.code) !== -1) {
             this.setStatus(statusCodes.QUEUED);
             if (!this.reoptimize) {
+                this.rerunFrom = this.resumedFrom = null;
                 this.dateCreated = new Date().getTime();
                 this.dateStarted = 0;
-                this.output = [];
+                this.output.reset();
                 this.progress = 0;
                 this.stopTrackingProcessingTime(true);
                 if (options !== undefined) {
@@ -1253,14 +1535,29 @@ module.exports = class Task extends AbstractTask {
             options: this.options,
             outputs: this.outputs,
             imagesCount: this.images !== undefined ? this.images.length : this.imagesCountEstimate,
-            progress: this.progress
+            progress: this.progress,
+            priority: this.priority,
+            resumedFrom: this.resumedFrom || null
         };
     }
 
-    // Returns the output of the OpenDroneMap process
-    // Optionally starting from a certain line number
-    getOutput(startFromLine = 0) {
-        return this.output.slice(startFromLine, this.output.length);
+    // Estimates the amount of memory (in bytes) needed to process
+    // this task, based on the number of images and the quality options.
+    getMemoryRequirement() {
+        const optionValue = name => {
+            const opt = this.options.find(o => o.name === name);
+            return opt ? opt.value : undefined;
+        };
+
+        const imagesCount = Math.max(
+            this.images !== undefined ? this.images.length : this.imagesCountEstimate,
+            this.imageLinks.length,
+            0
+        );
+        const perImage = PC_QUALITY_MEMORY_PER_IMAGE[optionValue("pc-quality")] || PC_QUALITY_MEMORY_PER_IMAGE.medium;
+        const factor = FEATURE_QUALITY_MEMORY_FACTOR[optionValue("feature-quality")] || FEATURE_QUALITY_MEMORY_FACTOR.high;
+
+        return Math.round((BASE_MEMORY_REQUIREMENT + imagesCount * perImage * factor) * 1024 * 1024);
     }
 
     // Reads the contents of the tasks's
@@ -1283,41 +1580,18 @@ module.exports = class Task extends AbstractTask {
         });
     }
 
-    callWebhooks(resourceType) {
-        // Hooks can be passed via command line
-        // or for each individual task
-        // const hooks = [this.webhook, config.webhook];
-        const hooks = [this.webhook];
+    // Notifies webhooks of a status change (event omitted, see TaskManager.onTaskEvent),
+    // of a progress update ("progress") or that a resource is ready (resource type).
+    callWebhooks(event) {
         let json = this.getInfo();
 
-        if (resourceType) json.resourceType = resourceType;
+        if (!event) event = webhooks.statusEvent(this.status.code);
+        else if (event !== "progress") json.resourceType = event;
+        json.event = event;
 
-        hooks.forEach((hook) => {
-            if (hook && hook.length > 3) {
-                const notifyCallback = (attempt) => {
-                    if (attempt > 5) {
-                        logger.warn(
-                            `Webhook invokation failed, will not retry: ${hook}`
-                        );
-                        return;
-                    }
-                    request.post(hook, { json }, (error, response) => {
-                        if (error || response.statusCode != 200) {
-                            logger.warn(
-                                `Webhook invokation failed, will retry in a bit: ${hook}`
-                            );
-                            setTimeout(() => {
-                                notifyCallback(attempt + 1);
-                            }, attempt * 5000);
-                        } else {
-                            logger.debug(`Webhook invoked: ${hook}`);
-                        }
-                    });
-                };
-                notifyCallback(0);
-            }
-        });
+        webhooks.notify(this.uuid, this.webhook, event, json);
     }
+
     // Returns the data necessary to serialize this
     // task to restore it later.
     serialize() {
@@ -1327,12 +1601,18 @@ module.exports = class Task extends AbstractTask {
             name: this.name,
             dateCreated: this.dateCreated,
             dateStarted: this.dateStarted,
+            dateQueued: this.dateQueued,
             status: this.status,
+            priority: this.priority,
             options: this.options,
             webhook: this.webhook,
+            storage: this.storage || null,
+            imageLinks: this.imageLinks,
+            imagesDownloaded: !!this.imagesDownloaded,
             skipPostProcessing: !!this.skipPostProcessing,
             outputs: this.outputs || [],
-            output: this.output
+            rerunFrom: this.rerunFrom || null,
+            resumedFrom: this.resumedFrom || null
         };
     }
 };
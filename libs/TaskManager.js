@@ -30,8 +30,11 @@ const async = require('async');
 const schedule = require('node-schedule');
 const Directories = require('./Directories');
 const ProgressReceiver = require('./ProgressReceiver');
+const odmStages = require('./odmStages');
+const webhooks = require('./webhooks');
+const taskStore = require('./taskStore');
+const si = require('systeminformation');
 
-const TASKS_DUMP_FILE = path.join(Directories.data, "tasks.json");
 const CLEANUP_TASKS_IF_OLDER_THAN = 1000 * 60 * config.cleanupTasksAfter; // minutes
 const CLEANUP_STALE_UPLOADS_AFTER = 1000 * 60 * config.cleanupUploadsAfter; // minutes
 
@@ -40,7 +43,12 @@ let taskManager;
 class TaskManager {
     constructor(done) {
         this.tasks = {};
+        this.unrestoredTasks = {}; // uuid --> serialized task that could not be restored (kept in the task store)
         this.runningQueue = [];
+        this.eventListeners = [];
+        this.pendingSaves = new Set();
+
+        taskStore.onCompactionNeeded(() => this.dumpTaskList());
 
         const progressReceiver = new ProgressReceiver();
         progressReceiver.addListener(this.onProgressUpdate.bind(this));
@@ -49,6 +57,10 @@ class TaskManager {
             cb => this.restoreTaskListFromDump(cb),
             cb => this.removeOldTasks(cb),
             cb => this.removeOrphanedDirectories(cb),
+            cb => {
+                webhooks.removeOrphanedOutboxes(uuid => this.tasks[uuid] !== undefined || this.unrestoredTasks[uuid] !== undefined);
+                cb();
+            },
             cb => this.removeStaleUploads(cb),
             cb => {
                 this.processNextTask();
@@ -62,6 +74,14 @@ class TaskManager {
                     this.removeStaleUploads();
                 });
 
+                if (config.memoryAdmission) {
+                    // Every minute, check if tasks waiting
+                    // for memory can be started
+                    schedule.scheduleJob('* * * * *', () => {
+                        this.processNextTask();
+                    });
+                }
+
                 if (config.maxRuntime > 0) {
                     // Every minute
                     schedule.scheduleJob('* * * * *', () => {
@@ -74,11 +94,61 @@ class TaskManager {
         ], done);
     }
 
+    // Registers a callback(event) that is invoked for every
+    // lifecycle event of every task on this node
+    addEventListener(callback) {
+        this.eventListeners.push(callback);
+    }
+
+    removeEventListener(callback) {
+        this.eventListeners = this.eventListeners.filter(cb => cb !== callback);
+    }
+
+    emitEvent(event, task, data = {}) {
+        const evt = Object.assign({
+            event,
+            uuid: task.uuid,
+            projectId: task.projectId,
+            taskType: task.taskType || "odm",
+            date: new Date().getTime()
+        }, data);
+        this.eventListeners.forEach(callback => callback(evt));
+    }
+
+    // Publishes the status and stage changes of a task
+    // as node-wide events
+    watchTask(task) {
+        task.addEventListener((task, event, data) => this.onTaskEvent(task, event, data));
+    }
+
+    onTaskEvent(task, event, data) {
+        if (event === "status") {
+            this.saveTask(task);
+
+            // Tasks that are still being initialized will
+            // publish their status once initialization is done
+            if (!task.initialized) return;
+
+            const events = {
+                [statusCodes.QUEUED]: "queued",
+                [statusCodes.RUNNING]: "started",
+                [statusCodes.FAILED]: "failed",
+                [statusCodes.COMPLETED]: "completed",
+                [statusCodes.CANCELED]: "canceled",
+                [statusCodes.PAUSED]: "paused"
+            };
+            if (events[data.code]) this.emitEvent(events[data.code], task, { status: data });
+            task.callWebhooks();
+        } else if (event === "output") {
+            const stage = odmStages.stageStartedInOutputLine(data.line);
+            if (stage) this.emitEvent("stageChanged", task, { stage });
+        }
+    }
+
     onProgressUpdate(uuid, globalProgress) {
         const task = this.tasks[uuid];
 
-        // Keep 10% for special postprocessing step
-        if (task) task.updateProgress(globalProgress * 0.9);
+        if (task) task.updateProgress(task.odmProgress(globalProgress));
     }
 
     // Removes old tasks that have either failed, are completed, or
@@ -109,7 +179,7 @@ class TaskManager {
 
         async.eachSeries(list, (uuid, cb) => {
             logger.info(`Cleaning up old task ${uuid}`);
-            this.remove(uuid, cb);
+            this.remove(uuid, cb, "cleanedUp");
         }, done);
     }
 
@@ -125,7 +195,7 @@ class TaskManager {
                     let dirPath = path.join(Directories.data, entry);
                     if (fs.statSync(dirPath).isDirectory() &&
                         entry.match(/^[\w\d]+\-[\w\d]+\-[\w\d]+\-[\w\d]+\-[\w\d]+$/) &&
-                        !this.tasks[entry]) {
+                        !this.tasks[entry] && !this.unrestoredTasks[entry]) {
                         logger.info(`Found orphaned directory: ${entry}, removing...`);
                         rmdir(dirPath, cb);
                     } else cb();
@@ -159,74 +229,172 @@ class TaskManager {
 
     // Load tasks that already exists (if any)
     restoreTaskListFromDump(done) {
-        fs.readFile(TASKS_DUMP_FILE, (err, data) => {
-            if (!err) {
-                let tasks;
-                try {
-                    tasks = JSON.parse(data.toString());
-                } catch (e) {
-                    logger.warn(`Could not load task list. It looks like the ${TASKS_DUMP_FILE} is corrupted (${e.message}).`);
-                    if (done !== undefined) done();
-                    return;
-                }
+        taskStore.load((err, tasks) => {
+            if (err) {
+                // Don't start with an empty task list, which
+                // would overwrite the snapshots at the next compaction
+                if (done !== undefined) done(err);
+                return;
+            }
+            if (tasks.length === 0) {
+                logger.info("No tasks dump found");
+                this.dumpTaskList(done);
+                return;
+            }
 
-                async.each(tasks, (taskJson, done) => {
-                    const { constructorName, data } = taskJson;
-                    if (constructorName === 'Task') {
-                        Task.CreateFromSerialized(data, (err, task) => {
-                            if (err) done(err);
-                            else {
-                                this.tasks[task.uuid] = task;
-                                done();
-                            }
-                        });
-                    } else if (constructorName === 'SingularTask') {
-                        SingularTask.CreateFromSerialized(data, (err, task) => {
-                            if (err) done(err);
-                            else {
-                                this.tasks[task.uuid] = task;
-                                done();
-                            }
-                        });
+            async.eachOf(tasks, (taskJson, i, done) => {
+                const { constructorName, data } = taskJson;
+                const restored = (err, task) => {
+                    if (err) {
+                        // Keep the task in the store, so that it can be restored once the problem is fixed
+                        const uuid = data && data.uuid ? data.uuid : `#${i}`;
+                        logger.error(`Cannot restore task ${uuid}: ${err.message}`);
+                        this.unrestoredTasks[uuid] = taskJson;
                     } else {
-                        done('Unspported task constructor ' + constructorName);
+                        this.tasks[task.uuid] = task;
+                        this.watchTask(task);
                     }
-                }, err => {
-                    logger.info(`Initialized ${tasks.length} tasks`);
-                    if (done !== undefined) done();
-                });
-            } else {
-                logger.info("No tasks dump found");
-                if (done !== undefined) done();
-            }
+                    done();
+                };
+
+                if (constructorName === 'Task') {
+                    Task.CreateFromSerialized(data, restored);
+                } else if (constructorName === 'SingularTask') {
+                    SingularTask.CreateFromSerialized(data, restored);
+                } else {
+                    restored(new Error(`Unsupported task constructor ${constructorName}`));
+                }
+            }, () => {
+                const failed = Object.keys(this.unrestoredTasks).length;
+                logger.info(`Initialized ${tasks.length - failed} tasks${failed ? ` (${failed} could not be restored)` : ""}`);
+
+                // Start from a compacted journal
+                this.dumpTaskList(done);
+            });
         });
     }
 
-    // Finds the first QUEUED task.
-    findNextTaskToProcess() {
+    // Returns the priority of a task, raised by one for every
+    // config.priorityAging minutes that the task has spent waiting
+    // in the queue, so that low priority tasks are not starved.
+    getEffectivePriority(task, now = new Date().getTime()) {
+        let priority = task.priority || 0;
+        if (config.priorityAging > 0 && task.dateQueued > 0) {
+            priority += Math.floor((now - task.dateQueued) / (config.priorityAging * 60 * 1000));
+        }
+        return priority;
+    }
+
+    // Returns the QUEUED tasks sorted in the order
+    // they will be processed (highest priority first, then
+    // the tasks that have been waiting the longest).
+    getQueue() {
+        const now = new Date().getTime();
+
+        return Object.keys(this.tasks)
+            .map(uuid => this.tasks[uuid])
+            .filter(task => task.getStatus() === statusCodes.QUEUED && task.initialized)
+            .sort((a, b) => {
+                return (this.getEffectivePriority(b, now) - this.getEffectivePriority(a, now)) ||
+                    (a.dateQueued - b.dateQueued);
+            });
+    }
+
+    // Returns all tasks: running tasks first, followed by
+    // queued tasks in processing order, followed by everything else.
+    getTaskList() {
+        const list = this.runningQueue.concat(this.getQueue());
+
         for (let uuid in this.tasks) {
-            if (this.tasks[uuid].getStatus() === statusCodes.QUEUED && this.tasks[uuid].initialized) {
-                return this.tasks[uuid];
-            }
+            if (list.indexOf(this.tasks[uuid]) === -1) list.push(this.tasks[uuid]);
         }
+
+        return list;
     }
 
-    // Finds the next tasks, adds them to the running queue,
-    // and starts the tasks (up to the limit).
-    processNextTask() {
-        if (this.runningQueue.length < config.parallelQueueProcessing) {
-            let task = this.findNextTaskToProcess();
-            if (task) {
-                this.addToRunningQueue(task);
-                task.start(() => {
-                    this.removeFromRunningQueue(task);
-                    this.processNextTask();
-                });
+    // Returns the name of the slot pool used to process a task.
+    // Singular tasks use a dedicated pool for their task type, if configured.
+    getPoolName(task) {
+        if (task instanceof SingularTask) {
+            return config.queuePools[task.taskType] !== undefined ? task.taskType : "singular";
+        } else {
+            return "odm";
+        }
+    }
+
+    // Returns the number of free processing slots for each pool.
+    getFreeSlots() {
+        const freeSlots = {};
+        for (let pool in config.queuePools) {
+            freeSlots[pool] = parseInt(config.queuePools[pool]) || 0;
+        }
 
-                if (this.runningQueue.length < config.parallelQueueProcessing) this.processNextTask();
+        this.runningQueue.forEach(task => {
+            freeSlots[this.getPoolName(task)]--;
+        });
+
+        return freeSlots;
+    }
+
+    // Returns the amount of memory (in bytes) that
+    // we expect running tasks to be using.
+    getReservedMemory() {
+        return this.runningQueue.reduce((sum, task) => sum + task.getMemoryRequirement(), 0);
+    }
+
+    // Finds the QUEUED task that should be processed next,
+    // skipping tasks whose pool has no free slots.
+    // When mem is set, tasks that need more memory than what is
+    // available are held back (together with the tasks queued behind them in
+    // the same pool) and marked as waiting for memory.
+    findNextTaskToProcess(mem) {
+        const freeSlots = this.getFreeSlots();
+        const reservedMemory = this.getReservedMemory();
+        const queue = this.getQueue();
+
+        // mem.available already excludes what running tasks have allocated so far,
+        // the reserved memory also accounts for what they have yet to allocate
+        const availableMemory = mem ? Math.min(mem.available, mem.total - reservedMemory) : 0;
+
+        queue.forEach(task => delete task.status.waitingFor);
+
+        return queue.find(task => {
+            const pool = this.getPoolName(task);
+            if (freeSlots[pool] <= 0) return false;
+
+            // If no other task is using memory, we start the task anyway
+            // since waiting would not help
+            if (mem && reservedMemory > 0 &&
+                task.getMemoryRequirement() > availableMemory) {
+                task.status.waitingFor = "memory";
+                freeSlots[pool] = 0;
+                return false;
             }
+
+            return true;
+        });
+    }
+
+    // Finds the next tasks, adds them to the running queue,
+    // and starts the tasks (up to the limit of each pool).
+    processNextTask() {
+        if (config.memoryAdmission) {
+            si.mem(mem => this.startNextTasks(mem));
         } else {
-            // Do nothing
+            this.startNextTasks();
+        }
+    }
+
+    startNextTasks(mem) {
+        let task = this.findNextTaskToProcess(mem);
+        if (task) {
+            this.addToRunningQueue(task);
+            task.start(() => {
+                this.removeFromRunningQueue(task);
+                this.processNextTask();
+            });
+
+            this.startNextTasks(mem);
         }
     }
 
@@ -243,6 +411,16 @@ class TaskManager {
     addNew(task) {
         assert(task instanceof AbstractTask, "Must be a Task object");
         this.tasks[task.uuid] = task;
+        this.watchTask(task);
+        this.saveTask(task);
+
+        this.emitEvent("created", task);
+        const onInitialized = () => {
+            this.emitEvent("initialized", task);
+            this.onTaskEvent(task, "status", task.status);
+        };
+        if (task.initialized) onInitialized();
+        else task.onInitialize.push(onInitialized);
 
         this.processNextTask();
     }
@@ -266,7 +444,8 @@ class TaskManager {
 
     // Removes a task from the system.
     // Before being removed, the task is canceled.
-    remove(uuid, cb) {
+    // event is the node-wide event published once the task is gone.
+    remove(uuid, cb, event = "removed") {
         this.cancel(uuid, err => {
             if (!err) {
                 let task = this.find(uuid, cb);
@@ -274,6 +453,9 @@ class TaskManager {
                     task.cleanup(err => {
                         if (!err) {
                             delete (this.tasks[uuid]);
+                            taskStore.remove(uuid);
+                            webhooks.removeTask(uuid);
+                            this.emitEvent(event, task);
                             this.processNextTask();
                             cb(null);
                         } else cb(err);
@@ -296,6 +478,24 @@ class TaskManager {
         }
     }
 
+    // Pauses a running task. The task's processing slot
+    // is released once its processes have exited.
+    pause(uuid, cb) {
+        let task = this.find(uuid, cb);
+        if (task) task.pause(cb);
+    }
+
+    // Puts a paused task back into the queue
+    resume(uuid, cb) {
+        let task = this.find(uuid, cb);
+        if (task) {
+            task.resume(err => {
+                if (!err) this.processNextTask();
+                cb(err);
+            });
+        }
+    }
+
     // re-runs bundle adjustment with new gcp marks
     reoptimize(uuid, gcpMarks, cb) {
         let task = this.find(uuid, cb);
@@ -309,6 +509,26 @@ class TaskManager {
         }
     }
 
+    // Changes the priority of a task that is waiting to be processed
+    // (either queued or still being initialized).
+    setPriority(uuid, priority, cb) {
+        let task = this.find(uuid, cb);
+        if (task) {
+            priority = parseInt(priority);
+            if (isNaN(priority)) {
+                cb(new Error("priority must be an integer"));
+            } else if (task.getStatus() === statusCodes.QUEUED ||
+                (task.getStatus() === statusCodes.RUNNING && !task.initialized)) {
+                task.priority = priority;
+                this.saveTask(task);
+                this.processNextTask();
+                cb(null);
+            } else {
+                cb(new Error("Only queued tasks can be reprioritized"));
+            }
+        }
+    }
+
     // Finds a task by its UUID string.
     find(uuid, cb) {
         let task = this.tasks[uuid];
@@ -316,21 +536,41 @@ class TaskManager {
         return task;
     }
 
+    serializeTask(task) {
+        return {
+            constructorName: task.constructor.name,
+            data: task.serialize(),
+        };
+    }
+
+    // Saves the state of a task to the task store. Saves are deferred
+    // so that changes made right after a status change are included.
+    saveTask(task) {
+        if (this.pendingSaves.has(task)) return;
+        this.pendingSaves.add(task);
+
+        setImmediate(() => {
+            this.pendingSaves.delete(task);
+            if (this.tasks[task.uuid] !== task) return; // Removed
+
+            taskStore.put(this.serializeTask(task));
+        });
+    }
+
     // Serializes the list of tasks and saves it
-    // to disk
+    // to disk (compacting the task store)
     dumpTaskList(done) {
         let output = [];
 
         for (let uuid in this.tasks) {
-            output.push({
-                constructorName: this.tasks[uuid].constructor.name,
-                data: this.tasks[uuid].serialize(),
-            });
+            output.push(this.serializeTask(this.tasks[uuid]));
+        }
+        for (let uuid in this.unrestoredTasks) {
+            output.push(this.unrestoredTasks[uuid]);
         }
 
-        fs.writeFile(TASKS_DUMP_FILE, JSON.stringify(output), err => {
-            if (err) logger.error(`Could not dump tasks: ${err.message}`);
-            else logger.debug("Dumped tasks list.");
+        taskStore.compact(output, err => {
+            if (!err) logger.debug("Dumped tasks list.");
             if (done !== undefined) done();
         });
     }
@@ -356,7 +596,7 @@ class TaskManager {
                 let task = this.tasks[uuid];
 
                 if (task.isRunning() && task.dateStarted > 0 && (now - task.dateStarted) > config.maxRuntime * 60 * 1000) {
-                    task.output.push(`Task timed out after ${Math.ceil(task.processingTime / 60 / 1000)} minutes.\n`);
+                    task.appendOutput(`Task timed out after ${Math.ceil(task.processingTime / 60 / 1000)} minutes.\n`);
                     this.cancel(uuid, () => {
                         logger.warn(`Task ${uuid} timed out`);
                     });
@@ -0,0 +1,358 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const fs = require('fs');
+const { Transform } = require('stream');
+const logger = require('./logger');
+
+const TAIL_SIZE = 200; // Number of lines kept in memory
+const INDEX_INTERVAL = 1000; // The byte offset of one every INDEX_INTERVAL lines is kept in memory
+const NEWLINE = 0x0a;
+
+// Levels of ODM's log messages, lowest first
+const LEVELS = ["DEBUG", "INFO", "WARNING", "ERROR", "EXCEPTION"];
+const levelOf = line => {
+    const matches = line.match(/^\s*\[(DEBUG|INFO|WARNING|ERROR|EXCEPTION)\]/);
+    return matches ? LEVELS.indexOf(matches[1]) : -1;
+};
+
+// Splits a stream of log bytes into lines. Each line of the log
+// is a JSON string, so that lines can contain newlines of their own.
+class LineDecoder extends Transform {
+    constructor() {
+        super({ readableObjectMode: true });
+        this.partial = [];
+    }
+
+    _transform(chunk, encoding, cb) {
+        let start = 0;
+        let end;
+        while ((end = chunk.indexOf(NEWLINE, start)) !== -1) {
+            this.partial.push(chunk.slice(start, end));
+            this.push(decode(Buffer.concat(this.partial)));
+            this.partial = [];
+            start = end + 1;
+        }
+        if (start < chunk.length) this.partial.push(chunk.slice(start));
+        cb();
+    }
+}
+
+const decode = buf => {
+    const line = buf.toString('utf8');
+    try {
+        return JSON.parse(line);
+    } catch (e) {
+        return line;
+    }
+};
+
+// Console output of a task. Lines are appended to a log file
+// and only the last few lines are kept in memory, other lines
+// are read back from disk (using an index of line offsets) when requested.
+// Lines are written asynchronously, lines that are still being written
+// are always kept in memory.
+module.exports = class TaskOutput {
+    constructor(file) {
+        this.file = file;
+        this.writer = null;
+        this.writes = null;
+        this.clear();
+    }
+
+    clear() {
+        this.length = 0; // Number of lines
+        this.written = 0; // Number of lines in the log
+        this.size = 0; // Bytes in the log
+        this.index = [];
+        this.tail = [];
+    }
+
+    // Indexes an existing log (if any) and loads its tail.
+    // @param done {Function} callback(err)
+    load(done) {
+        this.clear();
+
+        let offset = 0;
+        const stream = fs.createReadStream(this.file);
+        stream.on('data', chunk => {
+            let start = 0;
+            let end;
+            while ((end = chunk.indexOf(NEWLINE, start)) !== -1) {
+                if (this.length % INDEX_INTERVAL === 0) this.index.push(this.size);
+                this.length++;
+                this.written++;
+                this.size = offset + end + 1;
+                start = end + 1;
+            }
+            offset += chunk.length;
+        });
+        stream.on('error', err => {
+            if (err.code === 'ENOENT') {
+                this.clear();
+                done();
+            } else done(err);
+        });
+        stream.on('end', () => {
+            const finish = () => {
+                this.read(Math.max(0, this.length - TAIL_SIZE), this.length, (err, lines) => {
+                    if (!err) this.tail = lines;
+                    done(err);
+                });
+            };
+
+            // Drop a partially written last line (the process was killed while writing)
+            if (offset > this.size) fs.truncate(this.file, this.size, err => {
+                if (err) done(err);
+                else finish();
+            });
+            else finish();
+        });
+    }
+
+    append(line) {
+        line = String(line);
+        const data = Buffer.from(JSON.stringify(line) + "\n");
+
+        this.length++;
+        this.tail.push(line);
+
+        // The log is kept open until close() is called
+        if (!this.writer) {
+            try {
+                this.writer = fs.createWriteStream(null, { fd: fs.openSync(this.file, 'a') });
+                this.writer.on('error', () => {}); // Reported by write callbacks
+            } catch (e) {
+                this.writeFailed(e, null);
+            }
+        }
+        if (!this.writes) this.writes = { pending: 0, flushed: [] };
+
+        const writer = this.writer;
+        const writes = this.writes;
+        const written = err => {
+            if (writes !== this.writes) return; // reset() was called
+            if (err) this.writeFailed(err, writer);
+
+            if (this.written % INDEX_INTERVAL === 0) this.index.push(this.size);
+            this.written++;
+            this.size += data.length;
+
+            writes.pending--;
+            this.trimTail();
+            if (writes.pending === 0) {
+                this.writes = null;
+                writes.flushed.forEach(cb => cb());
+            }
+        };
+
+        writes.pending++;
+        if (writer) writer.write(data, written);
+        else setImmediate(written);
+    }
+
+    // Lines that cannot be written are still counted (and kept in memory
+    // for a while), the log is reopened by the next append
+    writeFailed(err, writer) {
+        if (writer && writer === this.writer) {
+            writer.destroy();
+            this.writer = null;
+        }
+        if (!this.writeFailedOnce) logger.warn(`Cannot write console output to ${this.file}: ${err.message}`);
+        this.writeFailedOnce = true;
+    }
+
+    // Keeps the last TAIL_SIZE lines in memory,
+    // along with the lines that are still being written
+    trimTail() {
+        const keep = Math.max(TAIL_SIZE, this.length - this.written);
+        if (this.tail.length > keep) this.tail.splice(0, this.tail.length - keep);
+    }
+
+    // Calls done once the lines appended so far have been written
+    flush(done) {
+        if (this.writes) this.writes.flushed.push(done);
+        else done();
+    }
+
+    // Closes the log, lines appended later will reopen it
+    close() {
+        if (this.writer) {
+            this.writer.end();
+            this.writer = null;
+        }
+    }
+
+    // Removes all lines
+    reset() {
+        const writes = this.writes;
+        this.writes = null;
+        this.close();
+        this.clear();
+        try {
+            fs.unlinkSync(this.file);
+        } catch (e) {
+            if (e.code !== 'ENOENT') logger.warn(`Cannot remove ${this.file}: ${e.message}`);
+        }
+        if (writes) writes.flushed.forEach(cb => cb());
+    }
+
+    // Calls iterator(line) for each line from line number "from"
+    // up to line number "to" (excluded)
+    // @param done {Function} callback(err)
+    each(from, to, iterator, done) {
+        from = Math.max(0, from);
+        to = Math.min(this.length, to);
+        if (from >= to) {
+            done();
+            return;
+        }
+
+        // Recent lines are in memory
+        const tailStart = this.length - this.tail.length;
+        if (from >= tailStart) {
+            this.tail.slice(from - tailStart, to - tailStart).forEach(line => iterator(line));
+            done();
+            return;
+        }
+
+        // Lines that are still being written are only in memory,
+        // they are served once the lines on disk have been read
+        const written = this.written;
+        const unwritten = this.tail.slice(this.tail.length - (this.length - written));
+
+        const block = Math.floor(from / INDEX_INTERVAL);
+        let n = block * INDEX_INTERVAL;
+        let finished = false;
+        const finish = err => {
+            if (finished) return;
+            finished = true;
+            stream.destroy();
+
+            if (err && err.code !== 'ENOENT') done(err);
+            else {
+                for (let i = Math.max(from, written); i < to; i++) iterator(unwritten[i - written]);
+                done();
+            }
+        };
+
+        const stream = fs.createReadStream(this.file, { start: this.index[block], end: this.size - 1 });
+        stream.on('error', finish);
+        stream.pipe(new LineDecoder())
+            .on('data', line => {
+                if (finished) return;
+                if (n >= from && n < to) iterator(line);
+                if (++n >= Math.min(to, written)) finish();
+            })
+            .on('end', () => finish());
+    }
+
+    // Reads the lines from line number "from" up to line number "to" (excluded)
+    // @param done {Function} callback(err, lines)
+    read(from, to, done) {
+        const lines = [];
+        this.each(from, to, line => lines.push(line), err => done(err, lines));
+    }
+
+    // Reads the lines that match options:
+    // from, to: range of line numbers, "to" excluded (negative values count from the end of the output)
+    // tail: only the last N lines (of those matching the other options)
+    // grep: text that lines must contain (plain text, not a regular expression),
+    //       or an array of texts of which lines must contain at least one
+    // level: only ODM log messages of this level or higher (debug, info, warning, error)
+    // @param done {Function} callback(err, lines)
+    query(options, done) {
+        const lineNumber = (value, defaultValue) => {
+            const n = parseInt(value);
+            if (isNaN(n)) return defaultValue;
+            else return n < 0 ? Math.max(0, this.length + n) : n;
+        };
+
+        let from = lineNumber(options.from, 0);
+        const to = Math.min(this.length, lineNumber(options.to, this.length));
+
+        let tail = null;
+        if (options.tail !== undefined) {
+            tail = parseInt(options.tail);
+            if (isNaN(tail) || tail < 0) {
+                done(new Error("Invalid tail: must be a positive number"));
+                return;
+            }
+        }
+
+        let grep = null;
+        if (options.grep) {
+            const texts = [].concat(options.grep).map(String).filter(text => text.length > 0);
+            if (texts.length > 0) grep = line => texts.some(text => line.indexOf(text) !== -1);
+        }
+
+        let level = -1;
+        if (options.level) {
+            level = LEVELS.indexOf(String(options.level).toUpperCase());
+            if (level === -1) {
+                done(new Error(`Invalid level: must be one of ${LEVELS.join(", ").toLowerCase()}`));
+                return;
+            }
+        }
+
+        if (!grep && level === -1) {
+            if (tail !== null) from = Math.max(from, to - tail);
+            this.read(from, to, done);
+            return;
+        }
+
+        const lines = [];
+        this.each(from, to, line => {
+            if ((!grep || grep(line)) && (level === -1 || levelOf(line) >= level)) {
+                lines.push(line);
+                if (tail !== null && lines.length > tail) lines.shift();
+            }
+        }, err => done(err, lines));
+    }
+
+    // Writes all lines to file as plain text
+    // @param done {Function} callback(err)
+    exportText(file, done) {
+        this.flush(() => this.exportWrittenText(file, done));
+    }
+
+    exportWrittenText(file, done) {
+        const out = fs.createWriteStream(file);
+        out.on('error', done);
+        out.on('finish', () => done());
+        if (this.size === 0) {
+            out.end();
+            return;
+        }
+
+        const stream = fs.createReadStream(this.file, { end: this.size - 1 });
+        stream.on('error', err => {
+            if (err.code === 'ENOENT') out.end();
+            else {
+                out.destroy();
+                done(err);
+            }
+        });
+        stream.pipe(new LineDecoder())
+            .pipe(new Transform({
+                writableObjectMode: true,
+                transform: (line, encoding, cb) => cb(null, line + "\n")
+            }))
+            .pipe(out);
+    }
+};
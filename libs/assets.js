@@ -0,0 +1,174 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const archiver = require('archiver');
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime');
+const utils = require('./utils');
+
+// Whether relPath is one of the allowed paths or is within one of them
+const isAllowed = (relPath, allowedPaths) => {
+    return allowedPaths.find(p => relPath === p || relPath.startsWith(p + path.sep)) !== undefined;
+};
+
+// Errors carry the HTTP status code that describes them
+const assetError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+// Finds all files (recursively) in projectFolder/relPath.
+// Symlinks that lead out of the project folder are skipped.
+const walk = (projectFolder, relPath, done) => {
+    const file = path.join(projectFolder, relPath);
+    async.waterfall([
+        cb => fs.realpath(file, cb),
+        (real, cb) => {
+            if (!real.startsWith(projectFolder + path.sep)) cb(null, null);
+            else fs.stat(real, cb);
+        }
+    ], (err, stats) => {
+        if (err) {
+            if (err.code === 'ENOENT') done(null, []);
+            else done(err);
+        } else if (!stats) {
+            done(null, []);
+        } else if (stats.isDirectory()) {
+            fs.readdir(file, (err, entries) => {
+                if (err) done(err);
+                else async.concatSeries(entries.sort(), (entry, cb) => walk(projectFolder, path.join(relPath, entry), cb), done);
+            });
+        } else if (stats.isFile()) {
+            done(null, [{ path: relPath, size: stats.size, mtime: stats.mtime.getTime() }]);
+        } else done(null, []);
+    });
+};
+
+module.exports = {
+    // Finds the files of a project folder that are within requestedPaths (files or folders).
+    // Paths outside of allowedPaths are refused.
+    // @param done {Function} callback(err, [{path, size, mtime}])
+    find: function(projectFolder, allowedPaths, requestedPaths, done){
+        allowedPaths = utils.parseUnsafePathsList(allowedPaths);
+        const paths = utils.parseUnsafePathsList(requestedPaths).filter((p, i, all) => {
+            // Skip paths contained in other paths (or duplicates)
+            return all.findIndex(other => other === p || p.startsWith(other + path.sep)) === i;
+        });
+
+        const invalid = paths.find(p => !isAllowed(p, allowedPaths));
+        if (invalid !== undefined) {
+            done(assetError(`Invalid asset: ${invalid}`, 404));
+            return;
+        }
+
+        async.waterfall([
+            cb => fs.realpath(projectFolder, cb),
+            (realProjectFolder, cb) => async.concatSeries(paths, (p, cb) => walk(realProjectFolder, p, cb), cb)
+        ], (err, files) => {
+            if (err && err.code === 'ENOENT') done(null, []);
+            else done(err, files);
+        });
+    },
+
+    // Lists the files of a project folder that are within allowedPaths,
+    // along with their size, modification time, mime type and optionally their SHA-256 checksum.
+    // @param checksums {Object} cache of checksums (relative path --> {size, mtime, sha256})
+    //      which is updated as checksums are computed, or null to skip checksums
+    // @param done {Function} callback(err, [{path, size, mtime, mimeType, sha256}])
+    list: function(projectFolder, allowedPaths, checksums, done){
+        this.find(projectFolder, allowedPaths, allowedPaths, (err, files) => {
+            if (err) {
+                done(err);
+                return;
+            }
+
+            async.eachLimit(files, 2, (file, cb) => {
+                file.mimeType = mime.getType(file.path) || "application/octet-stream";
+                if (!checksums) {
+                    cb();
+                    return;
+                }
+
+                const cached = checksums[file.path];
+                if (cached && cached.size === file.size && cached.mtime === file.mtime) {
+                    file.sha256 = cached.sha256;
+                    cb();
+                } else {
+                    utils.sha256(path.join(projectFolder, file.path), (err, digest) => {
+                        if (err) cb(err);
+                        else {
+                            file.sha256 = digest;
+                            checksums[file.path] = { size: file.size, mtime: file.mtime, sha256: digest };
+                            cb();
+                        }
+                    });
+                }
+            }, err => done(err, files));
+        });
+    },
+
+    // Writes a zip archive of files (as returned by find) to output. Files are
+    // stored without compression, since most outputs are already compressed.
+    // @param done {Function} callback(err) called once the archive has been written
+    zip: function(projectFolder, files, output, done){
+        const archive = archiver.create("zip", { store: true });
+        let finished = false;
+        const finish = err => {
+            if (finished) return;
+            finished = true;
+            if (err) archive.abort();
+            done(err);
+        };
+
+        archive.on('error', finish);
+        archive.on('warning', finish);
+        output.on('finish', () => finish());
+        output.on('close', () => finish(new Error("Connection closed"))); // Before finishing
+
+        archive.pipe(output);
+        files.forEach(file => archive.file(path.join(projectFolder, file.path), { name: file.path }));
+        archive.finalize();
+    },
+
+    // Finds the file of an asset requested by a client. Traversals are removed from
+    // requestedPath and files outside of allowedPaths (or the project folder) are refused.
+    // @param done {Function} callback(err, absolute path of the file)
+    resolve: function(projectFolder, allowedPaths, requestedPath, done){
+        const relPath = utils.parseUnsafePathsList([requestedPath])[0];
+        if (!relPath || !isAllowed(relPath, utils.parseUnsafePathsList(allowedPaths))) {
+            done(assetError("Invalid asset", 404));
+            return;
+        }
+
+        // Don't follow symlinks out of the project folder
+        async.map([projectFolder, path.join(projectFolder, relPath)], fs.realpath, (err, real) => {
+            if (err) done(err.code === 'ENOENT' ? assetError("Asset not found", 404) : err);
+            else if (!real[1].startsWith(real[0] + path.sep)) done(assetError("Invalid asset", 404));
+            else {
+                fs.stat(real[1], (err, stats) => {
+                    if (err) done(err);
+                    else if (!stats.isFile()) done(assetError("Asset is not a file", 400));
+                    else done(null, real[1]);
+                });
+            }
+        });
+    }
+};
@@ -0,0 +1,503 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+
+// Extensions of the images that ODM processes
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".tif", ".tiff", ".dng", ".png"];
+
+// Files of the images folder that are not images
+const NON_IMAGES = ["body.json", "images.sg"];
+
+const MAX_SEGMENTS = 1000; // JPEG segments read before giving up
+const MAX_IFD_ENTRIES = 1000;
+const TAIL_SIZE = 4096; // Bytes searched for the end of image marker of JPEGs
+const BLOCK_SIZE = 65536; // Files are read in blocks of these many bytes
+const MAX_BLOCKS = 512; // Blocks read from a file before giving up (32MB)
+
+// Sizes of the TIFF field types
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const TAGS = {
+    ImageWidth: 0x0100,
+    ImageLength: 0x0101,
+    Make: 0x010F,
+    Model: 0x0110,
+    DateTime: 0x0132,
+    SubIFDs: 0x014A,
+    XMP: 0x02BC,
+    ExifIFD: 0x8769,
+    GPSIFD: 0x8825,
+    DateTimeOriginal: 0x9003,
+    OffsetTimeOriginal: 0x9011,
+    PixelXDimension: 0xA002,
+    PixelYDimension: 0xA003
+};
+
+const GPS_TAGS = {
+    LatitudeRef: 1,
+    Latitude: 2,
+    LongitudeRef: 3,
+    Longitude: 4,
+    AltitudeRef: 5,
+    Altitude: 6
+};
+
+const corrupt = message => new Error(`Corrupt image: ${message}`);
+
+// Thrown when parsing needs blocks of a file that have not been read yet
+class BlockMiss extends Error {
+    constructor(blocks) {
+        super("Blocks not loaded");
+        this.blocks = blocks;
+    }
+}
+
+// Random access to the bytes of a file. Parsers are synchronous and only see the
+// blocks that were read so far: reading other bytes throws a BlockMiss, in which
+// case the missing blocks are read (without blocking) and parsing starts over.
+class FileSource {
+    constructor(fd, size) {
+        this.fd = fd;
+        this.size = size;
+        this.blocks = {}; // block index --> Buffer
+        this.loaded = 0;
+    }
+
+    bytes(offset, length) {
+        if (offset < 0 || length < 0 || offset + length > this.size) throw corrupt("unexpected end of file");
+        if (length === 0) return Buffer.alloc(0);
+
+        const first = Math.floor(offset / BLOCK_SIZE);
+        const last = Math.floor((offset + length - 1) / BLOCK_SIZE);
+        const missing = [];
+        for (let i = first; i <= last; i++) {
+            if (!this.blocks[i]) missing.push(i);
+        }
+        if (missing.length) throw new BlockMiss(missing);
+
+        const buf = first === last ? this.blocks[first] : Buffer.concat(Array.from({ length: last - first + 1 }, (_, i) => this.blocks[first + i]));
+        const start = offset - first * BLOCK_SIZE;
+        return buf.slice(start, start + length);
+    }
+
+    // @param cb {Function} callback(err)
+    load(blocks, cb) {
+        if (this.loaded + blocks.length > MAX_BLOCKS) {
+            cb(corrupt("metadata is too large"));
+            return;
+        }
+
+        async.eachSeries(blocks, (i, cb) => {
+            const buf = Buffer.alloc(Math.min(BLOCK_SIZE, this.size - i * BLOCK_SIZE));
+            fs.read(this.fd, buf, 0, buf.length, i * BLOCK_SIZE, err => {
+                if (!err) {
+                    this.blocks[i] = buf;
+                    this.loaded++;
+                }
+                cb(err);
+            });
+        }, cb);
+    }
+}
+
+// Random access to a part of a buffer
+class BufferSource {
+    constructor(buf, start = 0) {
+        this.buf = buf;
+        this.start = start;
+        this.size = buf.length - start;
+    }
+
+    bytes(offset, length) {
+        if (offset < 0 || length < 0 || offset + length > this.size) throw corrupt("invalid EXIF data");
+        return this.buf.slice(this.start + offset, this.start + offset + length);
+    }
+}
+
+// Reads the IFDs of TIFF structured data (TIFF files or EXIF blocks)
+class TiffReader {
+    constructor(source) {
+        this.source = source;
+
+        const header = source.bytes(0, 8);
+        const order = header.toString('latin1', 0, 2);
+        if (order !== "II" && order !== "MM") throw corrupt("invalid TIFF header");
+        this.le = order === "II";
+        if (this.uint16(header, 2) !== 42) throw new Error("Unsupported TIFF variant");
+        this.ifd0 = this.uint32(header, 4);
+    }
+
+    uint16(buf, offset) {
+        return this.le ? buf.readUInt16LE(offset) : buf.readUInt16BE(offset);
+    }
+
+    uint32(buf, offset) {
+        return this.le ? buf.readUInt32LE(offset) : buf.readUInt32BE(offset);
+    }
+
+    // @return {Object} tag --> value
+    readIFD(offset) {
+        const count = this.uint16(this.source.bytes(offset, 2), 0);
+        if (count > MAX_IFD_ENTRIES) throw corrupt("invalid IFD");
+
+        const entries = this.source.bytes(offset + 2, count * 12);
+        const tags = {};
+        for (let i = 0; i < count; i++) {
+            const entry = entries.slice(i * 12, i * 12 + 12);
+            const tag = this.uint16(entry, 0);
+            const type = this.uint16(entry, 2);
+            const n = this.uint32(entry, 4);
+            const size = TYPE_SIZES[type];
+            if (!size || n * size > this.source.size) continue; // Unknown type or garbage
+
+            const data = n * size <= 4 ? entry.slice(8, 8 + n * size) : this.source.bytes(this.uint32(entry, 8), n * size);
+            tags[tag] = this.value(type, n, data);
+        }
+        return tags;
+    }
+
+    value(type, count, data) {
+        const values = [];
+        switch (type) {
+            case 2: return data.toString('latin1').replace(/\0[\s\S]*$/, "").trim();
+            case 1: case 6: case 7: return data;
+            case 3: case 8:
+                for (let i = 0; i < count; i++) values.push(this.uint16(data, i * 2));
+                break;
+            case 4: case 9:
+                for (let i = 0; i < count; i++) values.push(this.uint32(data, i * 4));
+                break;
+            case 5: case 10:
+                for (let i = 0; i < count; i++) {
+                    const den = this.uint32(data, i * 8 + 4);
+                    values.push(den ? this.uint32(data, i * 8) / den : 0);
+                }
+                break;
+            default: return null;
+        }
+        return count === 1 ? values[0] : values;
+    }
+}
+
+// "2021:06:01 10:22:33" --> "2021-06-01T10:22:33" (with the time zone offset, if known)
+const parseDateTime = (dateTime, offset) => {
+    const m = typeof dateTime === "string" && dateTime.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!m) return null;
+    let result = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+    if (typeof offset === "string" && /^[+-]\d{2}:\d{2}$/.test(offset)) result += offset;
+    return result;
+};
+
+const toDegrees = dms => Array.isArray(dms) && dms.length === 3 ? dms[0] + dms[1] / 60 + dms[2] / 3600 : null;
+
+const round = (n, digits) => Math.round(n * Math.pow(10, digits)) / Math.pow(10, digits);
+
+const parseGPS = gps => {
+    let latitude = toDegrees(gps[GPS_TAGS.Latitude]);
+    let longitude = toDegrees(gps[GPS_TAGS.Longitude]);
+    if (latitude === null || longitude === null) return null;
+    if (latitude === 0 && longitude === 0) return null; // No fix
+    if (gps[GPS_TAGS.LatitudeRef] === "S") latitude = -latitude;
+    if (gps[GPS_TAGS.LongitudeRef] === "W") longitude = -longitude;
+
+    const result = { latitude: round(latitude, 8), longitude: round(longitude, 8), altitude: null };
+    if (typeof gps[GPS_TAGS.Altitude] === "number") {
+        const below = gps[GPS_TAGS.AltitudeRef] && gps[GPS_TAGS.AltitudeRef][0] === 1;
+        result.altitude = round(below ? -gps[GPS_TAGS.Altitude] : gps[GPS_TAGS.Altitude], 3);
+    }
+    return result;
+};
+
+// Reads a property of a XMP packet, written either as an attribute or as an element
+const xmpValue = (xmp, name) => {
+    const m = xmp.match(new RegExp(`[\\w-]+:${name}(?:\\s*=\\s*"([^"]*)"|>([^<]*)<)`));
+    return m ? (m[1] !== undefined ? m[1] : m[2]).trim() : null;
+};
+
+const xmpNumber = (xmp, name) => {
+    const value = parseFloat(xmpValue(xmp, name));
+    return isNaN(value) ? null : value;
+};
+
+// Reads the metadata of EXIF (TIFF) data into info
+const readExif = (reader, info) => {
+    const ifd0 = reader.readIFD(reader.ifd0);
+    if (typeof ifd0[TAGS.Make] === "string") info.make = ifd0[TAGS.Make];
+    if (typeof ifd0[TAGS.Model] === "string") info.model = ifd0[TAGS.Model];
+    if (Buffer.isBuffer(ifd0[TAGS.XMP])) info.xmp = ifd0[TAGS.XMP].toString('utf8');
+
+    let dateTime = ifd0[TAGS.DateTime];
+    let offsetTime = null;
+    if (typeof ifd0[TAGS.ExifIFD] === "number") {
+        const exif = reader.readIFD(ifd0[TAGS.ExifIFD]);
+        if (exif[TAGS.DateTimeOriginal]) dateTime = exif[TAGS.DateTimeOriginal];
+        offsetTime = exif[TAGS.OffsetTimeOriginal];
+        if (exif[TAGS.PixelXDimension] && exif[TAGS.PixelYDimension]) {
+            info.exifWidth = exif[TAGS.PixelXDimension];
+            info.exifHeight = exif[TAGS.PixelYDimension];
+        }
+    }
+    info.captureTime = parseDateTime(dateTime, offsetTime);
+
+    if (typeof ifd0[TAGS.GPSIFD] === "number") {
+        info.gps = parseGPS(reader.readIFD(ifd0[TAGS.GPSIFD]));
+    }
+
+    return ifd0;
+};
+
+const readJpeg = (source, info) => {
+    let pos = 2;
+    for (let i = 0; i < MAX_SEGMENTS; i++) {
+        const header = source.bytes(pos, 2);
+        if (header[0] !== 0xFF) throw corrupt(`invalid marker at offset ${pos}`);
+
+        const marker = header[1];
+        if (marker === 0xFF) { // Fill byte
+            pos++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { // No length
+            pos += 2;
+            continue;
+        }
+        if (marker === 0xD9) throw corrupt("no image data");
+
+        const length = source.bytes(pos + 2, 2).readUInt16BE(0);
+        if (length < 2) throw corrupt(`invalid segment length at offset ${pos}`);
+
+        if (marker === 0xDA) { // Start of scan, image data follows
+            if (!info.width) throw corrupt("missing frame header");
+            if (pos + 2 + length >= source.size) throw corrupt("no image data");
+
+            const tailSize = Math.min(TAIL_SIZE, source.size);
+            const tail = source.bytes(source.size - tailSize, tailSize);
+            if (tail.lastIndexOf(Buffer.from([0xFF, 0xD9])) === -1) info.warnings.push("Image may be truncated (missing end of image marker)");
+            return;
+        }
+
+        if (marker === 0xE1) {
+            const data = source.bytes(pos + 4, length - 2);
+            if (data.toString('latin1', 0, 6) === "Exif\0\0") {
+                try {
+                    readExif(new TiffReader(new BufferSource(data, 6)), info);
+                } catch (e) {
+                    info.warnings.push(`Cannot read EXIF data: ${e.message}`);
+                }
+            } else if (data.toString('latin1', 0, 29) === "http://ns.adobe.com/xap/1.0/\0") {
+                info.xmp = data.toString('utf8', 29);
+            }
+        } else if ((marker >= 0xC0 && marker <= 0xCF) && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            const frame = source.bytes(pos + 4, 5);
+            info.height = frame.readUInt16BE(1);
+            info.width = frame.readUInt16BE(3);
+            if (!info.width || !info.height) throw corrupt("invalid dimensions");
+        }
+
+        pos += 2 + length;
+    }
+
+    throw corrupt("too many segments");
+};
+
+const readTiff = (source, info) => {
+    const reader = new TiffReader(source);
+    const ifd0 = readExif(reader, info);
+
+    // Raw formats (DNG) keep the full resolution image in a sub IFD,
+    // IFD0 often is a thumbnail
+    let width = ifd0[TAGS.ImageWidth] || 0;
+    let height = ifd0[TAGS.ImageLength] || 0;
+    const subIFDs = ifd0[TAGS.SubIFDs];
+    [].concat(subIFDs !== undefined ? subIFDs : []).forEach(offset => {
+        try {
+            const ifd = reader.readIFD(offset);
+            if ((ifd[TAGS.ImageWidth] || 0) * (ifd[TAGS.ImageLength] || 0) > width * height) {
+                width = ifd[TAGS.ImageWidth];
+                height = ifd[TAGS.ImageLength];
+            }
+        } catch (e) {
+            if (e instanceof BlockMiss) throw e;
+            info.warnings.push(`Cannot read sub IFD: ${e.message}`);
+        }
+    });
+
+    if (!width || !height) throw corrupt("invalid dimensions");
+    info.width = width;
+    info.height = height;
+};
+
+const readPng = (source, info) => {
+    const ihdr = source.bytes(8, 16);
+    if (ihdr.toString('latin1', 4, 8) !== "IHDR") throw corrupt("missing IHDR chunk");
+    info.width = ihdr.readUInt32BE(8);
+    info.height = ihdr.readUInt32BE(12);
+    if (!info.width || !info.height) throw corrupt("invalid dimensions");
+};
+
+const parse = source => {
+    const info = { warnings: [], gps: null, captureTime: null };
+    if (source.size < 8) throw corrupt("file is too small");
+
+    const magic = source.bytes(0, 8);
+    if (magic[0] === 0xFF && magic[1] === 0xD8) {
+        info.format = "jpeg";
+        readJpeg(source, info);
+    } else if (magic.toString('latin1', 0, 4) === "II*\0" || magic.toString('latin1', 0, 4) === "MM\0*") {
+        info.format = "tiff";
+        readTiff(source, info);
+    } else if (magic.toString('hex') === "89504e470d0a1a0a") {
+        info.format = "png";
+        readPng(source, info);
+    } else {
+        throw new Error("Not a supported image format (JPEG, TIFF, DNG or PNG)");
+    }
+
+    if (info.xmp) {
+        if (!info.gps) {
+            // Some cameras only write their position in XMP
+            const latitude = xmpNumber(info.xmp, "GpsLatitude");
+            const longitude = xmpNumber(info.xmp, "GpsLongitude") || xmpNumber(info.xmp, "GpsLongtitude");
+            if (latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0)) {
+                info.gps = { latitude, longitude, altitude: null };
+            }
+        }
+        if (info.gps && info.gps.altitude === null) info.gps.altitude = xmpNumber(info.xmp, "AbsoluteAltitude");
+        info.relativeAltitude = xmpNumber(info.xmp, "RelativeAltitude");
+    }
+
+    return info;
+};
+
+// Summary of the metadata of an image
+const summarize = (name, info, hasGeoFile) => {
+    const camera = [info.make, info.model].filter(s => s).join(" ");
+    const summary = {
+        name,
+        format: info.format,
+        width: info.width,
+        height: info.height,
+        camera: camera || null,
+        gps: info.gps ? { latitude: info.gps.latitude, longitude: info.gps.longitude } : null,
+        altitude: info.gps ? info.gps.altitude : null,
+        relativeAltitude: info.relativeAltitude !== undefined ? info.relativeAltitude : null,
+        captureTime: info.captureTime,
+        warnings: info.warnings
+    };
+    if (!info.gps && !hasGeoFile) summary.warnings.push("Missing geotag");
+    return summary;
+};
+
+module.exports = {
+    // Reads the metadata (EXIF, XMP and dimensions) of an image
+    // @param cb {Function} callback(err, info) err is set if the image is unreadable
+    read: function(file, cb){
+        fs.open(file, 'r', (err, fd) => {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            const done = (err, info) => fs.close(fd, () => cb(err, info));
+            fs.fstat(fd, (err, stats) => {
+                if (err) done(err);
+                else if (stats.isDirectory()) {
+                    const err = new Error(`Is a directory: ${file}`);
+                    err.code = 'EISDIR';
+                    done(err);
+                } else {
+                    const source = new FileSource(fd, stats.size);
+                    const attempt = () => {
+                        let info;
+                        try {
+                            info = parse(source);
+                        } catch (e) {
+                            if (e instanceof BlockMiss) source.load(e.blocks, err => err ? done(err) : attempt());
+                            else done(e);
+                            return;
+                        }
+                        done(null, info);
+                    };
+                    attempt();
+                }
+            });
+        });
+    },
+
+    // Inspects all images of a folder
+    // @param hasGeoFile {Boolean} whether the positions of images are given by a geo file,
+    //      in which case missing geotags are not an issue
+    // @param cb {Function} callback(err, {images, rejected, ignored, cameras, warnings})
+    //      images: summaries of the valid images
+    //      rejected: [{name, error}] images that cannot be read
+    //      ignored: [{name, error}] files that are not images
+    //      cameras: [{camera, count}]
+    //      warnings: issues with the dataset
+    inspect: function(folder, hasGeoFile, cb){
+        fs.readdir(folder, (err, entries) => {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            const result = { images: [], rejected: [], ignored: [], cameras: [], warnings: [] };
+            async.eachSeries(entries.filter(name => NON_IMAGES.indexOf(name) === -1).sort(), (name, cb) => {
+                this.read(path.join(folder, name), (err, info) => {
+                    if (!err) {
+                        result.images.push(summarize(name, info, hasGeoFile));
+                    } else if (err.code === 'EISDIR') {
+                        // Skip folders
+                    } else if (err.code) {
+                        cb(err); // I/O error
+                        return;
+                    } else if (IMAGE_EXTENSIONS.indexOf(path.extname(name).toLowerCase()) !== -1) {
+                        result.rejected.push({ name, error: err.message });
+                    } else {
+                        result.ignored.push({ name, error: err.message });
+                    }
+
+                    // Don't block the event loop for too long
+                    setImmediate(cb);
+                });
+            }, err => {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                const cameras = {};
+                result.images.forEach(image => {
+                    const camera = image.camera || "Unknown";
+                    cameras[camera] = (cameras[camera] || 0) + 1;
+                });
+                result.cameras = Object.keys(cameras).map(camera => ({ camera, count: cameras[camera] }));
+
+                const notGeotagged = result.images.filter(image => !image.gps).length;
+                if (result.rejected.length) result.warnings.push(`${result.rejected.length} images cannot be read: ${result.rejected.map(r => r.name).join(", ")}`);
+                if (result.ignored.length) result.warnings.push(`${result.ignored.length} files are not images: ${result.ignored.map(r => r.name).join(", ")}`);
+                if (notGeotagged && !hasGeoFile) result.warnings.push(`${notGeotagged} of ${result.images.length} images have no geotags`);
+                if (result.cameras.length > 1) result.warnings.push(`Images were taken with ${result.cameras.length} different cameras: ${result.cameras.map(c => `${c.camera} (${c.count})`).join(", ")}`);
+
+                cb(null, result);
+            });
+        });
+    }
+};
@@ -0,0 +1,181 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+const rmdir = require('rimraf');
+const utils = require('./utils');
+
+const MAX_RETRY_DELAY = 30; // seconds
+
+// Filename of the images of a list of links, made unique by
+// appending "_" before the extension (same links always yield the same names)
+const imageNames = links => {
+    const taken = {};
+    return links.map((link, i) => {
+        let name = String(link).split(/[?#]/)[0].replace(/\/+$/, "").split("/").pop();
+        try {
+            name = decodeURIComponent(name);
+        } catch (e) {
+            // Keep the name as is
+        }
+        name = name.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_");
+        if (!name || name.startsWith(".")) name = `image_${i}${name}`;
+
+        while (taken[name.toLowerCase()]) {
+            const ext = path.extname(name);
+            name = `${name.substr(0, name.length - ext.length)}_${ext}`;
+        }
+        taken[name.toLowerCase()] = true;
+        return name;
+    });
+};
+
+// Checks that a downloaded file matches the size and checksum of the source (if known)
+// @param cb {Function} callback(err, problem), problem describes the mismatch (null if the file matches)
+const verify = (file, info, cb) => {
+    fs.stat(file, (err, stats) => {
+        if (err) cb(err);
+        else if (Number.isInteger(info.size) && stats.size !== info.size) cb(null, `size is ${stats.size} bytes, expected ${info.size}`);
+        else if (!info.md5) cb(null, null);
+        else {
+            utils.md5(file, (err, digest) => {
+                if (err) cb(err);
+                else cb(null, digest !== info.md5.toLowerCase() ? "checksum mismatch" : null);
+            });
+        }
+    });
+};
+
+// Downloads the images of tasks created from links (images.sg).
+// Sources implement stat(link, cb(err, {size, md5})) and download(link, dest, cb)
+// without retrying (see linkSources), errors with retryable === false are not retried.
+module.exports = {
+    imageNames,
+
+    // Downloads links into folder. Images that are already in folder and match
+    // their source are skipped, so that interrupted downloads can be resumed.
+    // @param source {Object} where to fetch links from (see above)
+    // @param links [{String}] links to download
+    // @param folder {String} destination folder
+    // @param options {Object}
+    //      partsFolder {String} folder for incomplete downloads (removed unless stopped)
+    //      concurrency {Number} number of images downloaded at the same time
+    //      retries {Number} number of times a failed image is retried
+    //      onProgress {Function} (optional) (downloadedCount, totalCount)
+    //      onOutput {Function} (optional) callback when output lines are available
+    //      shouldStop {Function} (optional) returns true to stop starting new downloads
+    // @param cb {Function} callback(err, stopped)
+    download: function(source, links, folder, options, cb){
+        const { partsFolder, concurrency = 4, retries = 5 } = options;
+        const onProgress = options.onProgress || (() => {});
+        const onOutput = options.onOutput || (() => {});
+        const shouldStop = options.shouldStop || (() => false);
+        const names = imageNames(links);
+        let downloaded = 0;
+        let stopped = false;
+        let error = null; // First image that could not be downloaded, no new downloads are started after it
+
+        const fetch = (link, name, cb) => {
+            const dest = path.join(folder, name);
+            const part = path.join(partsFolder, name);
+
+            source.stat(link, (err, info) => {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                verify(dest, info, (err, problem) => {
+                    if (!err && !problem) cb(null, true); // Already downloaded
+                    else {
+                        source.download(link, part, err => {
+                            if (err) cb(err);
+                            else {
+                                verify(part, info, (err, problem) => {
+                                    if (err) cb(err);
+                                    else if (problem) {
+                                        fs.unlink(part, () => cb(new Error(`Downloaded ${name} does not match the source: ${problem}`)));
+                                    } else fs.rename(part, dest, err => cb(err, false));
+                                });
+                            }
+                        });
+                    }
+                });
+            });
+        };
+
+        const fetchWithRetries = (link, name, cb) => {
+            let attempt = 0;
+
+            const tryFetch = () => {
+                fetch(link, name, (err, skipped) => {
+                    if (!err) cb(null, skipped);
+                    else if (attempt < retries && err.retryable !== false && !error && !shouldStop()) {
+                        attempt++;
+                        const delay = Math.min(Math.pow(2, attempt - 1), MAX_RETRY_DELAY);
+                        onOutput(`${err.message}, retrying in ${delay}s... ${attempt}`);
+                        setTimeout(tryFetch, delay * 1000);
+                    } else cb(err);
+                });
+            };
+
+            tryFetch();
+        };
+
+        async.series([
+            cb => fs.mkdir(folder, { recursive: true }, err => cb(err)),
+            cb => fs.mkdir(partsFolder, { recursive: true }, err => cb(err)),
+            cb => {
+                onOutput(`Downloading ${links.length} images...`);
+                async.eachOfLimit(links, concurrency, (link, i, cb) => {
+                    if (error) {
+                        cb();
+                        return;
+                    }
+
+                    // Downloads that have started are completed
+                    if (stopped || shouldStop()) {
+                        stopped = true;
+                        cb();
+                        return;
+                    }
+
+                    fetchWithRetries(link, names[i], (err, skipped) => {
+                        if (err) {
+                            // Wait for the other downloads, so that
+                            // nothing is writing to partsFolder once it's removed
+                            if (!error) error = err;
+                            cb();
+                        } else {
+                            downloaded++;
+                            onOutput(`${skipped ? "Already downloaded" : "Downloaded"} ${names[i]} (${downloaded}/${links.length})`);
+                            onProgress(downloaded, links.length);
+                            cb();
+                        }
+                    });
+                }, err => cb(err || error));
+            }
+        ], err => {
+            // Downloads that were started before stopping may still be writing to partsFolder
+            if (stopped) cb(err, true);
+            else rmdir(partsFolder, () => cb(err, false));
+        });
+    }
+};
@@ -0,0 +1,445 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const request = require('request');
+const url = require('url');
+const config = require('../config');
+const storage = require('./storage/factory');
+const S3Storage = require('./storage/S3Storage');
+
+const REQUEST_TIMEOUT = 30000;
+
+// Error that retrying cannot fix
+const permanentError = message => {
+    const err = new Error(message);
+    err.retryable = false;
+    return err;
+};
+
+const httpError = response => {
+    const err = new Error(`HTTP ${response.statusCode}`);
+    err.statusCode = response.statusCode;
+    err.retryable = response.statusCode >= 500 || response.statusCode === 408 || response.statusCode === 429;
+    return err;
+};
+
+// Links as shown in messages, without the query string of URLs
+// (presigned URLs carry their credentials in it)
+const display = link => /^https?:\/\//i.test(link) ? link.split("?")[0] : link;
+
+// Prefixes the errors of cb with what could not be read
+const describe = (target, cb) => (err, result) => {
+    if (err) {
+        const error = new Error(`Cannot read ${display(target)}: ${err.message}`);
+        error.retryable = err.retryable;
+        cb(error);
+    } else cb(null, result);
+};
+
+// Whether link is under a URL prefix: same origin, and same path or a path below it
+// ("https://host/data" matches "https://host/data/a.jpg" but not "https://host/database")
+const underPrefix = (link, prefix) => {
+    let target, base;
+    try {
+        target = new url.URL(link);
+        base = new url.URL(prefix);
+    } catch (e) {
+        return false;
+    }
+    if (target.origin !== base.origin) return false;
+
+    const basePath = base.pathname.replace(/\/+$/, "");
+    return target.pathname === basePath || target.pathname.startsWith(`${basePath}/`);
+};
+
+// Loopback, private, link-local, multicast and reserved IPv4 ranges
+const PRIVATE_IPV4 = [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]];
+const ipv4Number = address => address.split(".").reduce((n, part) => n * 256 + parseInt(part), 0);
+
+// Whether an IP address cannot be reached from the internet (addresses of the
+// node itself, of its network or of cloud metadata services, ...)
+const isPrivateAddress = address => {
+    if (net.isIPv4(address)) {
+        const n = ipv4Number(address);
+        return PRIVATE_IPV4.some(([base, bits]) => {
+            const size = Math.pow(2, 32 - bits);
+            return Math.floor(n / size) === Math.floor(ipv4Number(base) / size);
+        });
+    }
+    if (net.isIPv6(address)) {
+        address = address.toLowerCase();
+
+        // IPv4 mapped addresses (::ffff:127.0.0.1 or ::ffff:7f00:1)
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+        if (mapped) return isPrivateAddress(mapped[1]);
+        const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(address);
+        if (mappedHex) {
+            const high = parseInt(mappedHex[1], 16);
+            const low = parseInt(mappedHex[2], 16);
+            return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join("."));
+        }
+
+        return address === "::" || address === "::1" || /^f[cd]/.test(address) || /^fe[89ab]/.test(address) || /^ff/.test(address);
+    }
+    return true;
+};
+
+// Throws (with retryable === false) if an http(s) URL cannot be fetched. When config.imageLinkUrls
+// is set, URLs must be under one of its prefixes. Otherwise URLs cannot point to private
+// addresses (host names are checked once resolved, see publicLookup).
+const checkUrl = link => {
+    if (config.imageLinkUrls.length > 0) {
+        if (!config.imageLinkUrls.some(prefix => underPrefix(link, prefix))) throw permanentError("not under an allowed URL");
+        return;
+    }
+
+    let host;
+    try {
+        host = new url.URL(link).hostname.replace(/^\[|\]$/g, "");
+    } catch (e) {
+        throw permanentError("invalid URL");
+    }
+    if (net.isIP(host) && isPrivateAddress(host)) throw permanentError("private addresses are not allowed");
+};
+
+// dns.lookup that refuses host names that resolve to private addresses
+const publicLookup = (hostname, options, cb) => {
+    if (typeof options === "function") {
+        cb = options;
+        options = {};
+    }
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) cb(err);
+        else {
+            const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+            if (addresses.some(isPrivateAddress)) cb(permanentError(`${hostname} resolves to a private address, which is not allowed`));
+            else cb(null, address, family);
+        }
+    });
+};
+
+// Headers sent when fetching a URL: those of the longest
+// URL prefix of config.imageLinkHeaders that matches
+const headersFor = link => {
+    const prefix = Object.keys(config.imageLinkHeaders)
+        .filter(p => underPrefix(link, p))
+        .sort((a, b) => b.length - a.length)[0];
+    return Object.assign({}, prefix !== undefined ? config.imageLinkHeaders[prefix] : {});
+};
+
+// Options of the requests for a link. The configured headers are removed
+// when a redirect leaves the origin of the link, so that they are
+// only sent to the servers they were configured for. Redirects to URLs
+// that are not allowed (see checkUrl) are not followed and set redirectError.
+const requestOptions = (link, extraHeaders = {}) => {
+    const headers = headersFor(link);
+    const options = {
+        url: link,
+        headers: Object.assign({}, headers, extraHeaders),
+        timeout: REQUEST_TIMEOUT,
+        redirectError: null,
+        followRedirect: response => {
+            let target;
+            try {
+                target = new url.URL(response.headers.location, response.request.uri.href);
+                checkUrl(target.href);
+            } catch (e) {
+                options.redirectError = permanentError(`redirected to a URL that is not allowed (${e.message})`);
+                return false;
+            }
+            if (target.origin !== new url.URL(link).origin) {
+                Object.keys(headers).forEach(name => response.request.removeHeader(name));
+            }
+            return true;
+        }
+    };
+    if (config.imageLinkUrls.length === 0) options.lookup = publicLookup;
+    return options;
+};
+
+// Whether file is inside one of config.imageLinkRoots (symbolic links
+// in roots are resolved, so that resolved files can be checked too)
+const insideRoot = file => {
+    const roots = [];
+    config.imageLinkRoots.forEach(root => {
+        roots.push(path.resolve(root));
+        try {
+            roots.push(fs.realpathSync(root));
+        } catch (e) {
+            // Missing root, nothing inside it
+        }
+    });
+
+    return roots.some(root => {
+        const rel = path.relative(root, file);
+        return rel !== "" && rel.split(path.sep)[0] !== ".." && !path.isAbsolute(rel);
+    });
+};
+
+// ETag and MD5 checksum (hex) of an http response. The ETag of objects served by S3
+// (and compatible stores) is their MD5 checksum, unless they were uploaded in parts
+// or encrypted with KMS or customer keys (see S3Storage.headObject).
+// Content-MD5 is preferred when sent, except for partial responses.
+const httpChecksums = (response) => {
+    const headers = response.headers;
+    const etag = (headers.etag || "").replace(/"/g, "");
+    const encryption = headers['x-amz-server-side-encryption'];
+    const plain = (!encryption || encryption === "AES256") && !headers['x-amz-server-side-encryption-customer-algorithm'];
+
+    let md5 = null;
+    if (headers['content-md5'] && response.statusCode === 200) md5 = Buffer.from(headers['content-md5'], 'base64').toString('hex');
+    else if (plain && /^[0-9a-f]{32}$/.test(etag)) md5 = etag;
+    return { etag, md5 };
+};
+
+// Fetches http(s) links, including presigned URLs
+const httpDriver = {
+    stat: (link, cb) => {
+        cb = describe(link, cb);
+        const options = requestOptions(link);
+        request.head(options, (err, response) => {
+            if (err) cb(err);
+            else if (options.redirectError) cb(options.redirectError);
+            else if (response.statusCode === 200) {
+                cb(null, Object.assign({
+                    size: response.headers['content-length'] !== undefined ? parseInt(response.headers['content-length']) : null
+                }, httpChecksums(response)));
+            } else if (response.statusCode === 403 || response.statusCode === 405) {
+                // Presigned URLs are only valid for GET requests, read the first byte instead
+                const options = requestOptions(link, { Range: "bytes=0-0" });
+                const req = request.get(options);
+                req.on('error', cb);
+                req.on('response', response => {
+                    req.abort();
+                    if (options.redirectError) {
+                        cb(options.redirectError);
+                        return;
+                    }
+                    const range = /\/(\d+)$/.exec(response.headers['content-range'] || "");
+                    if (response.statusCode === 206 && range) cb(null, Object.assign({ size: parseInt(range[1]) }, httpChecksums(response)));
+                    else if (response.statusCode === 200) cb(null, Object.assign({ size: parseInt(response.headers['content-length']) || null }, httpChecksums(response)));
+                    else cb(httpError(response));
+                });
+            } else cb(httpError(response));
+        });
+    },
+
+    download: (link, dest, cb) => {
+        cb = describe(link, cb);
+        let finished = false;
+        const finish = err => {
+            if (finished) return;
+            finished = true;
+            cb(err);
+        };
+
+        const options = requestOptions(link);
+        const req = request.get(options);
+        req.on('error', finish);
+        req.on('response', response => {
+            if (response.statusCode !== 200) {
+                req.abort();
+                finish(options.redirectError || httpError(response));
+            } else {
+                const writeStream = fs.createWriteStream(dest);
+                writeStream.on('error', err => {
+                    req.abort();
+                    finish(err);
+                });
+                writeStream.on('finish', () => finish());
+                req.pipe(writeStream);
+            }
+        });
+    }
+};
+
+// Copies files inside config.imageLinkRoots
+const fileDriver = {
+    stat: (file, cb) => {
+        cb = describe(file, cb);
+        fs.realpath(file, (err, realFile) => {
+            if (err) {
+                if (err.code === 'ENOENT') err.retryable = false;
+                cb(err);
+            } else if (!insideRoot(realFile)) cb(permanentError("not inside an allowed folder"));
+            else {
+                fs.stat(realFile, (err, stats) => {
+                    if (err) cb(err);
+                    else if (!stats.isFile()) cb(permanentError("not a file"));
+                    else cb(null, { size: stats.size, etag: null, md5: null });
+                });
+            }
+        });
+    },
+
+    download: (file, dest, cb) => {
+        cb = describe(file, cb);
+        fs.realpath(file, (err, realFile) => {
+            if (err) {
+                if (err.code === 'ENOENT') err.retryable = false;
+                cb(err);
+            } else if (!insideRoot(realFile)) cb(permanentError("not inside an allowed folder"));
+            else fs.copyFile(realFile, dest, cb);
+        });
+    }
+};
+
+// Storage backends fetch bare keys and s3:// links (their errors mention the key)
+const storageDriver = backend => ({
+    stat: (key, cb) => backend.stat(key, cb),
+    download: (key, dest, cb) => backend.download(key, dest, cb, 0)
+});
+
+// Image links (images.sg) are classified by scheme and fetched with the matching driver:
+//      key                 object of the storage backend of the task
+//      s3://bucket/key     object of the bucket of the node or of the storage profile of the task (or of one
+//                          of the buckets of the profile), reached with the (S3 compatible) storage settings of the task
+//      http(s)://...       plain or presigned URL under config.imageLinkUrls (any public address if not set),
+//                          sent with the headers of config.imageLinkHeaders
+//      file:///path        file inside one of config.imageLinkRoots
+module.exports = {
+    display,
+
+    // @return {Object} {type: "storage", key}, {type: "s3", bucket, key}, {type: "http", url}
+    //      or {type: "file", path}. Throws (with retryable === false) on invalid or disallowed links.
+    classify: function(link){
+        link = String(link).trim();
+        if (!link) throw permanentError("empty link");
+
+        const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(link);
+        if (!scheme) return { type: "storage", key: link };
+
+        switch (scheme[1].toLowerCase()) {
+            case "s3": {
+                const matches = /^s3:\/\/([^/]+)\/(.+)$/i.exec(link);
+                if (!matches) throw permanentError("must be s3://bucket/key");
+                return { type: "s3", bucket: matches[1], key: matches[2] };
+            }
+            case "http":
+            case "https":
+                checkUrl(link);
+                return { type: "http", url: link };
+            case "file": {
+                let file;
+                try {
+                    file = url.fileURLToPath(link);
+                } catch (e) {
+                    throw permanentError(e.message);
+                }
+                if (!insideRoot(file)) throw permanentError("not inside an allowed folder");
+                return { type: "file", path: file };
+            }
+            default:
+                throw permanentError(`unsupported scheme ${scheme[1]}:// (must be s3://, http://, https://, file:// or a key)`);
+        }
+    },
+
+    // Source of image links for imageIngest: stat(link, cb) and download(link, dest, cb)
+    // pick the driver of each link. Failed requests are not retried.
+    // @param settings {Object} storage settings of the task (see storage/factory.parseSettings), null for the default storage
+    source: function(settings){
+        const backends = {}; // bucket ("" for the task's own) --> storage driver
+
+        // Buckets that s3:// links can read: the bucket of the storage profile of the task
+        // (or of the node) and the buckets listed by the profile. The bucket set by the client
+        // in the storage settings of the task is not trusted.
+        const allowedBuckets = () => {
+            const buckets = [];
+            try {
+                const own = settings && settings.profile !== undefined ? storage.fromSettings({ profile: settings.profile }) : storage.singleton();
+                if (own && own.bucket) buckets.push(own.bucket);
+            } catch (e) {
+                // No bucket of its own
+            }
+
+            const profile = settings && settings.profile !== undefined ? config.storageProfiles[settings.profile] : null;
+            if (profile && Array.isArray(profile.buckets)) buckets.push(...profile.buckets);
+            return buckets;
+        };
+
+        const backendDriver = bucket => {
+            if (!backends[bucket]) {
+                let backend;
+                if (bucket === "") backend = settings ? storage.fromSettings(settings) : storage.singleton();
+                else {
+                    if (allowedBuckets().indexOf(bucket) === -1) {
+                        throw permanentError(`bucket ${bucket} is not allowed (s3:// links can only read the buckets of the node or of the storage profile of the task)`);
+                    }
+                    try {
+                        backend = storage.fromSettings(Object.assign({}, settings, { bucket, prefix: "" }));
+                    } catch (e) {
+                        backend = null;
+                    }
+                    if (backend && !(backend instanceof S3Storage)) backend = null;
+                    if (!backend) throw permanentError("s3:// links require a S3 compatible storage backend");
+                }
+                if (!backend) throw permanentError("no storage backend is configured");
+                backends[bucket] = storageDriver(backend);
+            }
+            return backends[bucket];
+        };
+
+        // @return {Object} {driver, target}, throws on invalid links
+        const resolve = link => {
+            const info = this.classify(link);
+            switch (info.type) {
+                case "storage": return { driver: backendDriver(""), target: info.key };
+                case "s3": return { driver: backendDriver(info.bucket), target: info.key };
+                case "http": return { driver: httpDriver, target: info.url };
+                case "file": return { driver: fileDriver, target: info.path };
+            }
+        };
+
+        const run = (link, cb, action) => {
+            let resolved;
+            try {
+                resolved = resolve(link);
+            } catch (e) {
+                describe(String(link).trim(), cb)(e);
+                return;
+            }
+
+            action(resolved.driver, resolved.target, cb);
+        };
+
+        return {
+            stat: (link, cb) => run(link, cb, (driver, target, cb) => driver.stat(target, cb)),
+            download: (link, dest, cb) => run(link, cb, (driver, target, cb) => driver.download(target, dest, cb))
+        };
+    },
+
+    // Checks that links are allowed and can be reached (without retrying)
+    // @param settings {Object} storage settings of the task, null for the default storage
+    // @param cb {Function} callback(errors), errors is the list of errors of the links that cannot be used
+    validate: function(links, settings, cb){
+        const source = this.source(settings);
+        const errors = [];
+        async.eachLimit(links, config.imageDownloadConcurrency, (link, cb) => {
+            source.stat(link, err => {
+                if (err) errors.push(err);
+                cb();
+            });
+        }, () => cb(errors));
+    }
+};
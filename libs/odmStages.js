@@ -0,0 +1,88 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const async = require('async');
+
+// ODM pipeline stages, in the order they are executed
+const STAGES = ['dataset', 'split', 'merge', 'opensfm', 'openmvs',
+    'odm_filterpoints', 'odm_meshing', 'mvs_texturing', 'odm_georeferencing',
+    'odm_dem', 'odm_orthophoto', 'odm_report', 'odm_postprocess'];
+
+// Files (relative to the project folder) whose presence indicates
+// that a stage has completed. Any of the files is sufficient.
+const STAGE_OUTPUTS = {
+    dataset: ['images.json'],
+    opensfm: ['opensfm/reconstruction.json'],
+    openmvs: ['opensfm/undistorted/openmvs/scene_dense_dense_filtered.ply'],
+    odm_filterpoints: ['odm_filterpoints/point_cloud.ply'],
+    odm_meshing: ['odm_meshing/odm_mesh.ply', 'odm_meshing/odm_25dmesh.ply'],
+    mvs_texturing: ['odm_texturing/odm_textured_model_geo.obj', 'odm_texturing_25d/odm_textured_model_geo.obj'],
+    odm_georeferencing: ['odm_georeferencing/odm_georeferenced_model.laz'],
+    odm_dem: ['odm_dem/dsm.tif', 'odm_dem/dtm.tif'],
+    odm_orthophoto: ['odm_orthophoto/odm_orthophoto.tif'],
+    odm_report: ['odm_report/report.pdf']
+};
+
+module.exports = {
+    STAGES,
+
+    // Finds the last stage that ODM reported as finished
+    // in its console output (or null if none is found).
+    // @param output [{String}] console output lines
+    lastCompletedStageFromOutput: function(output){
+        for (let i = output.length - 1; i >= 0; i--){
+            const matches = String(output[i]).match(/Finished (\w+) stage/);
+            if (matches && STAGES.indexOf(matches[1]) !== -1) return matches[1];
+        }
+        return null;
+    },
+
+    // Returns the stage that ODM reports as starting
+    // in a line of its console output (or null if the line doesn't start a stage).
+    // @param line {String} console output line
+    stageStartedInOutputLine: function(line){
+        const matches = String(line).match(/Running (\w+) stage/);
+        if (matches && STAGES.indexOf(matches[1]) !== -1) return matches[1];
+        else return null;
+    },
+
+    // Finds the furthest stage whose outputs are present
+    // in the project folder (or null if none is found).
+    // @param projectFolderPath {String} path to the task's project folder
+    // @param done {Function} callback(err, stage)
+    lastCompletedStageFromProjectFolder: function(projectFolderPath, done){
+        const stages = STAGES.filter(s => STAGE_OUTPUTS[s] !== undefined).reverse();
+
+        async.detectSeries(stages, (stage, cb) => {
+            async.some(STAGE_OUTPUTS[stage], (file, cb) => {
+                fs.access(path.join(projectFolderPath, file), fs.constants.F_OK, err => cb(null, !err));
+            }, cb);
+        }, (err, stage) => done(err, stage || null));
+    },
+
+    // Returns the stage from which processing should be restarted
+    // after stage has completed (or null if processing should start from the beginning).
+    // @param stage {String} last completed stage
+    nextStage: function(stage){
+        const idx = STAGES.indexOf(stage);
+        if (idx === -1) return null;
+        return STAGES[Math.min(idx + 1, STAGES.length - 1)];
+    }
+};
@@ -0,0 +1,149 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const config = require('../config');
+
+// Keys (in the storage backend) of the artifacts of the projectId pipeline.
+// Each pipeline (process for regular tasks, the task type for singular tasks)
+// maps its artifacts to a key template. Templates can reference the {variables}
+// listed in VARIABLES, and can be overridden with --output_manifest.
+const DEFAULTS = {
+    process: {
+        task_output: "project/{projectId}/process/{uuid}/task_output.txt",
+        pointcloud: "project/{projectId}/process/{uuid}/pointcloud/{uuid}_pointcloud.laz",
+        potree: "project/{projectId}/process/{uuid}/potree_pointcloud",
+        orthophoto: "project/{projectId}/process/{uuid}/orthophoto/orthophoto-cog.tif",
+        dsm: "project/{projectId}/process/{uuid}/dem/dsm.tif",
+        dtm: "project/{projectId}/process/{uuid}/dem/dtm.tif",
+        mesh: "project/{projectId}/process/{uuid}/mesh/mesh.zip",
+        nexus: "project/{projectId}/process/{uuid}/nexus/nexus.nxz",
+        report: "project/{projectId}/process/{uuid}/report/report.pdf",
+        stats: "project/{projectId}/process/{uuid}/report/stats.json",
+        shots: "project/{projectId}/process/{uuid}/report/shots.geojson",
+        tracks: "project/{projectId}/process/{uuid}/ai/tracks.csv",
+        reconstruction: "project/{projectId}/process/{uuid}/ai/reconstruction.json"
+    },
+    pointcloud: {
+        input: "project/{projectId}/resource/pointcloud/{inputResourceId}/{fileName}",
+        potree: "project/{projectId}/resource/potree_pointcloud/{outputResourceId}",
+        task_output: "project/{projectId}/resource/potree_pointcloud/{outputResourceId}/task_output.txt"
+    },
+    orthophoto: {
+        input: "project/{projectId}/resource/orthophoto/{inputResourceId}/orthophoto-cog.tif",
+        orthophoto: "project/{projectId}/resource/orthophoto/{inputResourceId}/orthophoto-cog.tif",
+        task_output: "project/{projectId}/resource/orthophoto/{inputResourceId}/task_output.txt"
+    },
+    mesh: {
+        input: "project/{projectId}/resource/mesh/{inputResourceId}/mesh.zip",
+        nexus: "project/{projectId}/resource/nexus/{outputResourceId}/nexus.nxz",
+        task_output: "project/{projectId}/resource/nexus/{outputResourceId}/task_output.txt"
+    },
+    "sg-compare": {
+        pointcloud: "project/{projectId}/resource/pointcloud/{outputResourcePointcloudId}/pointcloud.las",
+        potree: "project/{projectId}/resource/potree_pointcloud/{outputResourcePotreePointcloudId}",
+        task_output: "project/{projectId}/resource/pointcloud/{outputResourcePointcloudId}/task_output.txt"
+    },
+    "ifc-convert": {
+        input: "project/{projectId}/resource/bim/{inputResourceId}/bim.ifc",
+        mesh: "project/{projectId}/resource/ifc-mesh/{outputResourceId}/bim.glb",
+        task_output: "project/{projectId}/resource/ifc-mesh/{outputResourceId}/task_output.txt"
+    }
+};
+
+// Variables available to the templates of each pipeline
+const VARIABLES = {
+    process: ["projectId", "uuid"],
+    pointcloud: ["projectId", "uuid", "inputResourceId", "outputResourceId", "fileName"],
+    orthophoto: ["projectId", "uuid", "inputResourceId"],
+    mesh: ["projectId", "uuid", "inputResourceId", "outputResourceId"],
+    "sg-compare": ["projectId", "uuid", "outputResourcePointcloudId", "outputResourcePotreePointcloudId"],
+    "ifc-convert": ["projectId", "uuid", "inputResourceId", "outputResourceId"]
+};
+
+const TEMPLATE_VARIABLE = /\{([^{}]*)\}/g;
+
+// First variable of template that is not one of variables (undefined if none)
+const unknownVariable = (template, variables) => {
+    return (template.match(TEMPLATE_VARIABLE) || [])
+        .map(v => v.slice(1, -1))
+        .find(v => variables.indexOf(v) === -1);
+};
+
+let manifest = DEFAULTS;
+
+module.exports = {
+    // Applies the templates of config.outputManifest over the default ones
+    // @param cb {Function} callback(err), called with an error if the manifest is invalid
+    initialize: function(cb){
+        const overrides = config.outputManifest;
+        if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+            cb(new Error("Invalid output manifest: must be an object"));
+            return;
+        }
+
+        const result = {};
+        Object.keys(DEFAULTS).forEach(pipeline => result[pipeline] = Object.assign({}, DEFAULTS[pipeline]));
+
+        for (let pipeline in overrides) {
+            if (!DEFAULTS[pipeline]) {
+                cb(new Error(`Invalid output manifest: unknown pipeline ${pipeline} (must be one of ${Object.keys(DEFAULTS).join(", ")})`));
+                return;
+            }
+            if (typeof overrides[pipeline] !== "object" || overrides[pipeline] === null || Array.isArray(overrides[pipeline])) {
+                cb(new Error(`Invalid output manifest: ${pipeline} must be an object`));
+                return;
+            }
+
+            for (let artifact in overrides[pipeline]) {
+                const template = overrides[pipeline][artifact];
+                if (!DEFAULTS[pipeline][artifact]) {
+                    cb(new Error(`Invalid output manifest: unknown artifact ${pipeline}.${artifact} (must be one of ${Object.keys(DEFAULTS[pipeline]).join(", ")})`));
+                    return;
+                }
+                if (typeof template !== "string" || template.trim() === "") {
+                    cb(new Error(`Invalid output manifest: ${pipeline}.${artifact} must be a non-empty string`));
+                    return;
+                }
+
+                const unknown = unknownVariable(template, VARIABLES[pipeline]);
+                if (unknown !== undefined) {
+                    cb(new Error(`Invalid output manifest: unknown variable {${unknown}} in ${pipeline}.${artifact} (must be one of ${VARIABLES[pipeline].join(", ")})`));
+                    return;
+                }
+
+                result[pipeline][artifact] = template;
+            }
+        }
+
+        manifest = result;
+        cb();
+    },
+
+    // Key of an artifact
+    // @param pipeline {String} "process" or the type of a singular task
+    // @param artifact {String} name of the artifact (pointcloud, orthophoto, task_output, ...)
+    // @param variables {Object} values of the template variables
+    key: function(pipeline, artifact, variables){
+        if (!manifest[pipeline] || !manifest[pipeline][artifact]) throw new Error(`No key template for ${pipeline}.${artifact}`);
+
+        return manifest[pipeline][artifact].replace(TEMPLATE_VARIABLE, (match, name) => {
+            if (variables[name] === undefined || variables[name] === null) throw new Error(`Missing value of {${name}} for ${pipeline}.${artifact}`);
+            return String(variables[name]);
+        });
+    }
+};
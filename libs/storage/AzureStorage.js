@@ -0,0 +1,300 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const crypto = require('crypto');
+const fs = require('fs');
+const request = require('request');
+const { URL } = require('url');
+const logger = require('../logger');
+const StorageBase = require('./StorageBase');
+
+const API_VERSION = "2020-04-08";
+const MAX_SINGLE_PUT_SIZE = 256 * 1024 * 1024; // Larger files are uploaded in blocks
+const BLOCK_SIZE = 100 * 1024 * 1024;
+
+const xmlValue = (xml, tag) => {
+    const matches = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    if (!matches) return "";
+    return matches[1].replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+};
+
+// Error of a failed Blob service request
+const responseError = (response, body) => {
+    const message = body ? xmlValue(String(body), "Message") : "";
+    const err = new Error(message || `HTTP ${response.statusCode}`);
+    err.code = (body ? xmlValue(String(body), "Code") : "") || response.statusCode;
+    err.statusCode = response.statusCode;
+    err.retryable = response.statusCode >= 500 || response.statusCode === 408 || response.statusCode === 429;
+    return err;
+};
+
+// Azure Blob Storage, using the REST API of the Blob service.
+// Requests are authorized with the account key (Shared Key)
+// or with a shared access signature (SAS token).
+module.exports = class AzureStorage extends StorageBase {
+    // @param options {Object} account, key (account key) or sasToken, bucket (container),
+    //      endpoint (default: https://<account>.blob.core.windows.net), prefix
+    constructor(options) {
+        super(options);
+
+        this.account = options.account;
+        this.accountKey = options.key ? Buffer.from(options.key, 'base64') : null;
+        this.sasToken = (options.sasToken || "").replace(/^\?/, "");
+        this.container = options.bucket;
+        this.endpoint = (options.endpoint || `https://${this.account}.blob.core.windows.net`).replace(/\/+$/, "");
+        if (!/^https?:\/\//.test(this.endpoint)) this.endpoint = `https://${this.endpoint}`;
+    }
+
+    get name() {
+        return "Azure Blob Storage";
+    }
+
+    initialize(cb) {
+        if (!this.account || !this.container || (!this.accountKey && !this.sasToken)) {
+            cb(new Error("An account, a container and either an account key or a SAS token are required"));
+            return;
+        }
+
+        this.request("GET", "", { restype: "container" }, {}, null, (err) => {
+            if (!err) {
+                logger.info(`Connected to ${this.name}`);
+                cb();
+            } else {
+                cb(new Error(`Cannot connect to ${this.name}. Check your storage configuration: ${err.message} (${err.code})`));
+            }
+        });
+    }
+
+    // URL of a blob (or of the container if key is empty)
+    url(key, query) {
+        let url = `${this.endpoint}/${encodeURIComponent(this.container)}`;
+        if (key) url += "/" + key.split("/").map(encodeURIComponent).join("/");
+
+        const params = Object.keys(query).map(k => `${k}=${encodeURIComponent(query[k])}`);
+        if (this.sasToken) params.push(this.sasToken);
+        return params.length ? `${url}?${params.join("&")}` : url;
+    }
+
+    // Adds the Shared Key authorization header to a request
+    // (see https://docs.microsoft.com/en-us/rest/api/storageservices/authorize-with-shared-key)
+    sign(method, url, headers) {
+        if (!this.accountKey) return;
+
+        const u = new URL(url);
+        const canonicalHeaders = Object.keys(headers)
+            .filter(h => h.toLowerCase().startsWith("x-ms-"))
+            .map(h => `${h.toLowerCase()}:${String(headers[h]).trim()}\n`)
+            .sort()
+            .join("");
+
+        const params = {};
+        u.searchParams.forEach((value, name) => {
+            name = name.toLowerCase();
+            params[name] = params[name] !== undefined ? `${params[name]},${value}` : value;
+        });
+        let canonicalResource = `/${this.account}${u.pathname}`;
+        Object.keys(params).sort().forEach(name => canonicalResource += `\n${name}:${params[name]}`);
+
+        const length = headers['Content-Length'] ? String(headers['Content-Length']) : "";
+        const stringToSign = [
+            method,
+            "", // Content-Encoding
+            "", // Content-Language
+            length === "0" ? "" : length,
+            "", // Content-MD5
+            headers['Content-Type'] || "",
+            "", // Date (x-ms-date is used)
+            "", "", "", "", // If-Modified-Since, If-Match, If-None-Match, If-Unmodified-Since
+            headers.Range || ""
+        ].join("\n") + "\n" + canonicalHeaders + canonicalResource;
+
+        const signature = crypto.createHmac("sha256", this.accountKey).update(stringToSign, 'utf8').digest("base64");
+        headers.Authorization = `SharedKey ${this.account}:${signature}`;
+    }
+
+    // Sends a request to the Blob service
+    // @param body {String|Buffer|null} request body (a stream can be piped to the returned request instead)
+    // @param cb {Function} callback(err, response, body), called with an error for non 2xx responses
+    request(method, key, query, headers, body, cb) {
+        const url = this.url(key, query);
+        headers = Object.assign({
+            'x-ms-date': new Date().toUTCString(),
+            'x-ms-version': API_VERSION
+        }, headers);
+        if (body !== null) headers['Content-Length'] = Buffer.byteLength(body);
+        this.sign(method, url, headers);
+
+        const options = { method, url, headers };
+        if (body !== null) options.body = body;
+        return request(options, (err, response, responseBody) => {
+            if (err) cb(err);
+            else if (response.statusCode < 200 || response.statusCode >= 300) cb(responseError(response, responseBody));
+            else cb(null, response, responseBody);
+        });
+    }
+
+    putObject(key, body, attempt, onProgress, cb) {
+        if (body.data !== undefined) {
+            this.request("PUT", key, {}, { 'x-ms-blob-type': 'BlockBlob', 'Content-Type': 'application/json' }, body.data, err => {
+                if (!err) onProgress(body.data.length, body.data.length);
+                cb(err);
+            });
+            return;
+        }
+
+        fs.stat(body.file, (err, stats) => {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            let loaded = 0;
+            const putRange = (query, headers, start, end, cb) => {
+                let finished = false;
+                const finish = err => {
+                    if (finished) return;
+                    finished = true;
+                    cb(err);
+                };
+
+                const readStream = fs.createReadStream(body.file, end > start ? { start, end: end - 1 } : {});
+                readStream.on('data', chunk => {
+                    loaded += chunk.length;
+                    onProgress(loaded, stats.size);
+                });
+
+                // The body is streamed, so the request is signed for its length
+                headers['Content-Length'] = end - start;
+                const req = this.request("PUT", key, query, headers, null, finish);
+                readStream.on('error', err => {
+                    req.abort();
+                    finish(err);
+                });
+                readStream.pipe(req);
+            };
+
+            if (stats.size <= MAX_SINGLE_PUT_SIZE) {
+                putRange({}, { 'x-ms-blob-type': 'BlockBlob' }, 0, stats.size, cb);
+                return;
+            }
+
+            const blocks = [];
+            for (let start = 0, i = 0; start < stats.size; start += BLOCK_SIZE, i++) {
+                blocks.push({
+                    id: Buffer.from(String(i).padStart(6, "0")).toString('base64'),
+                    start,
+                    end: Math.min(stats.size, start + BLOCK_SIZE)
+                });
+            }
+
+            async.eachSeries(blocks, (block, cb) => {
+                putRange({ comp: "block", blockid: block.id }, {}, block.start, block.end, cb);
+            }, err => {
+                if (err) cb(err);
+                else {
+                    const blockList = '<?xml version="1.0" encoding="utf-8"?><BlockList>' +
+                        blocks.map(b => `<Latest>${b.id}</Latest>`).join("") +
+                        '</BlockList>';
+                    this.request("PUT", key, { comp: "blocklist" }, { 'Content-Type': 'application/xml' }, blockList, err => cb(err));
+                }
+            });
+        });
+    }
+
+    getObject(key, dest, cb) {
+        const url = this.url(key, {});
+        const headers = {
+            'x-ms-date': new Date().toUTCString(),
+            'x-ms-version': API_VERSION
+        };
+        this.sign("GET", url, headers);
+
+        let finished = false;
+        const finish = err => {
+            if (finished) return;
+            finished = true;
+            cb(err);
+        };
+
+        const req = request.get({ url, headers });
+        req.on('error', finish);
+        req.on('response', response => {
+            if (response.statusCode !== 200) {
+                req.abort();
+                finish(responseError(response));
+            } else {
+                const writeStream = fs.createWriteStream(dest);
+                writeStream.on('error', err => {
+                    req.abort();
+                    finish(err);
+                });
+                writeStream.on('finish', () => finish());
+                req.pipe(writeStream);
+            }
+        });
+    }
+
+    headObject(key, cb) {
+        this.request("HEAD", key, {}, {}, null, (err, response) => {
+            if (err) cb(err);
+            else {
+                const md5 = response.headers['content-md5'];
+                cb(null, {
+                    size: parseInt(response.headers['content-length']),
+                    etag: (response.headers.etag || "").replace(/"/g, ""),
+                    md5: md5 ? Buffer.from(md5, 'base64').toString('hex') : null
+                });
+            }
+        });
+    }
+
+    listObjects(prefix, cb) {
+        let objects = [];
+
+        const list = (marker) => {
+            const query = { restype: "container", comp: "list", prefix };
+            if (marker) query.marker = marker;
+
+            this.request("GET", "", query, {}, null, (err, response, body) => {
+                if (err) cb(err);
+                else {
+                    (body.match(/<Blob>[\s\S]*?<\/Blob>/g) || []).forEach(blob => {
+                        objects.push({
+                            key: xmlValue(blob, "Name"),
+                            size: parseInt(xmlValue(blob, "Content-Length")),
+                            lastModified: new Date(xmlValue(blob, "Last-Modified")).getTime()
+                        });
+                    });
+
+                    const nextMarker = xmlValue(body, "NextMarker");
+                    if (nextMarker) list(nextMarker);
+                    else cb(null, objects);
+                }
+            });
+        };
+
+        list();
+    }
+
+    deleteObject(key, cb) {
+        this.request("DELETE", key, {}, {}, null, err => {
+            cb(err && err.statusCode !== 404 ? err : null);
+        });
+    }
+};
@@ -0,0 +1,31 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const S3Storage = require('./S3Storage');
+
+// Google Cloud Storage, through its S3 compatible (XML) API.
+// Requires HMAC keys (accessKey, secretKey) of a service account.
+module.exports = class GcsStorage extends S3Storage {
+    constructor(options) {
+        super(Object.assign({}, options, { endpoint: options.endpoint || "storage.googleapis.com" }));
+    }
+
+    get name() {
+        return "Google Cloud Storage";
+    }
+};
@@ -0,0 +1,208 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const utils = require('../utils');
+const StorageBase = require('./StorageBase');
+
+// Stores objects as files of a local directory, for example
+// a mounted NFS share. Keys are paths relative to the directory.
+module.exports = class LocalStorage extends StorageBase {
+    // @param options {Object} path (root directory), bucket (optional subdirectory of path), prefix
+    constructor(options) {
+        super(options);
+
+        this.bucket = options.bucket || "";
+        if (/[\/\\]/.test(this.bucket) || this.bucket === "." || this.bucket === "..") {
+            throw new Error(`Invalid bucket: ${this.bucket}`);
+        }
+        this.root = options.path ? path.resolve(options.path, this.bucket) : "";
+    }
+
+    get name() {
+        return "local storage";
+    }
+
+    initialize(cb) {
+        if (!this.root) {
+            cb(new Error("A storage path is required"));
+            return;
+        }
+
+        fs.mkdir(this.root, { recursive: true }, err => {
+            if (err) cb(new Error(`Cannot use ${this.root} for storage: ${err.message}`));
+            else fs.access(this.root, fs.constants.W_OK, err => {
+                if (err) cb(new Error(`Cannot write to ${this.root}: ${err.message}`));
+                else {
+                    logger.info(`Using ${this.root} for storage`);
+                    cb();
+                }
+            });
+        });
+    }
+
+    // Path of the file of an object. Keys cannot reference files outside of the root directory.
+    filePath(key) {
+        if (key.split("/").indexOf("..") !== -1 || path.posix.isAbsolute(key)) {
+            const err = new Error(`Invalid key: ${key}`);
+            err.retryable = false;
+            throw err;
+        }
+        return path.join(this.root, key);
+    }
+
+    putObject(key, body, attempt, onProgress, cb) {
+        let file;
+        try {
+            file = this.filePath(key);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        fs.mkdir(path.dirname(file), { recursive: true }, err => {
+            if (err) cb(err);
+            else if (body.data !== undefined) {
+                utils.writeFileAtomic(file, body.data, err => {
+                    if (!err) onProgress(body.data.length, body.data.length);
+                    cb(err);
+                });
+            } else {
+                fs.stat(body.file, (err, stats) => {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    // Copy to a temporary file first, so that
+                    // readers never see partially written objects
+                    const tmpFile = `${file}.tmp`;
+                    const readStream = fs.createReadStream(body.file);
+                    const writeStream = fs.createWriteStream(tmpFile);
+                    let loaded = 0;
+                    let finished = false;
+                    const finish = err => {
+                        if (finished) return;
+                        finished = true;
+                        if (err) {
+                            readStream.destroy();
+                            writeStream.destroy();
+                            cb(err);
+                        } else fs.rename(tmpFile, file, cb);
+                    };
+
+                    readStream.on('data', chunk => {
+                        loaded += chunk.length;
+                        onProgress(loaded, stats.size);
+                    });
+                    readStream.on('error', finish);
+                    writeStream.on('error', finish);
+                    writeStream.on('finish', () => finish());
+                    readStream.pipe(writeStream);
+                });
+            }
+        });
+    }
+
+    getObject(key, dest, cb) {
+        let file;
+        try {
+            file = this.filePath(key);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        fs.copyFile(file, dest, err => {
+            if (err && err.code === 'ENOENT') err.retryable = false;
+            cb(err);
+        });
+    }
+
+    headObject(key, cb) {
+        let file;
+        try {
+            file = this.filePath(key);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        fs.stat(file, (err, stats) => {
+            if (err) {
+                if (err.code === 'ENOENT') err.retryable = false;
+                cb(err);
+            } else if (!stats.isFile()) {
+                const err = new Error(`Not a file: ${key}`);
+                err.retryable = false;
+                cb(err);
+            } else cb(null, { size: stats.size, etag: null, md5: null });
+        });
+    }
+
+    listObjects(prefix, cb) {
+        // Only walk the folder that can contain the prefix
+        const folder = prefix.indexOf("/") !== -1 ? prefix.substr(0, prefix.lastIndexOf("/")) : "";
+        let root;
+        try {
+            root = this.filePath(folder || ".");
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        const walk = (dir, key, cb) => {
+            fs.readdir(dir, { withFileTypes: true }, (err, entries) => {
+                if (err) {
+                    if (err.code === 'ENOENT') cb(null, []);
+                    else cb(err);
+                    return;
+                }
+
+                async.concatSeries(entries, (entry, cb) => {
+                    const entryKey = key ? `${key}/${entry.name}` : entry.name;
+                    if (!entryKey.startsWith(prefix) && !prefix.startsWith(entryKey + "/")) cb(null, []);
+                    else if (entry.isDirectory()) walk(path.join(dir, entry.name), entryKey, cb);
+                    else if (entry.isFile() && !entry.name.endsWith(".tmp")) {
+                        fs.stat(path.join(dir, entry.name), (err, stats) => {
+                            if (err) cb(err);
+                            else cb(null, [{ key: entryKey, size: stats.size, lastModified: stats.mtime.getTime() }]);
+                        });
+                    } else cb(null, []);
+                }, cb);
+            });
+        };
+
+        walk(root, folder, cb);
+    }
+
+    deleteObject(key, cb) {
+        let file;
+        try {
+            file = this.filePath(key);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        fs.unlink(file, err => cb(err && err.code !== 'ENOENT' ? err : null));
+    }
+};
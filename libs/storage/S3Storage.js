@@ -0,0 +1,181 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const https = require('https');
+const si = require('systeminformation');
+const logger = require('../logger');
+const StorageBase = require('./StorageBase');
+
+const PARALLEL_UPLOADS = 4; // Files uploaded at the same time by StorageBase.uploadPaths
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+module.exports = class S3Storage extends StorageBase {
+    // @param options {Object} endpoint, bucket, accessKey, secretKey, signatureVersion,
+    //      forcePathStyle, acl ("none" to skip), ignoreSSL, prefix
+    constructor(options) {
+        super(options);
+
+        const s3Config = {
+            endpoint: new AWS.Endpoint(options.endpoint),
+            signatureVersion: "v" + (options.signatureVersion || "4"),
+            s3ForcePathStyle: !!options.forcePathStyle,
+        };
+
+        if (options.ignoreSSL) {
+            s3Config.httpOptions = {
+                agent: new https.Agent({
+                    rejectUnauthorized: false
+                })
+            };
+        }
+
+        // If we are not using IAM roles then we need to pass access key and secret key in our config
+        if (options.accessKey && options.secretKey) {
+            s3Config.accessKeyId = options.accessKey;
+            s3Config.secretAccessKey = options.secretKey;
+        } else {
+            logger.info(
+                "Secret Key and Access ID not passed. Using the IAM role"
+            );
+        }
+
+        this.bucket = options.bucket;
+        this.acl = options.acl || "none";
+        this.s3 = new AWS.S3(s3Config);
+    }
+
+    initialize(cb) {
+        if (!this.options.endpoint || !this.bucket) {
+            cb(new Error("Both an endpoint and a bucket are required"));
+            return;
+        }
+
+        // Test connection
+        this.s3.putObject({
+            Bucket: this.bucket,
+            Key: this.key('test.txt'),
+            Body: ''
+        }, err => {
+            if (!err) {
+                logger.info(`Connected to ${this.name}`);
+                cb();
+            } else {
+                cb(new Error(`Cannot connect to ${this.name}. Check your storage configuration: ${err.message} (${err.code})`));
+            }
+        });
+    }
+
+    putObject(key, body, attempt, onProgress, cb) {
+        // Get available memory, as on low-powered machines
+        // we might not be able to upload many large chunks at once
+        si.mem((memory) => {
+            let concurrency = 10; // Upload these many parts per file at the same time
+            let partSize = 100 * 1024 * 1024;
+            let memoryRequirement = partSize * concurrency * PARALLEL_UPLOADS; // Conservative
+
+            // Try reducing concurrency first
+            while (memoryRequirement > memory.available && concurrency > 1) {
+                concurrency--;
+                memoryRequirement = partSize * concurrency * PARALLEL_UPLOADS;
+            }
+
+            // Try reducing partSize afterwards
+            while (
+                memoryRequirement > memory.available &&
+                partSize > MIN_PART_SIZE
+            ) {
+                partSize = Math.max(MIN_PART_SIZE, Math.floor(partSize * 0.8));
+                memoryRequirement = partSize * concurrency * PARALLEL_UPLOADS;
+            }
+
+            // Be gentler after each failure
+            concurrency = Math.max(1, Math.floor(concurrency * Math.pow(0.66, attempt)));
+
+            const params = {
+                Bucket: this.bucket,
+                Key: key,
+                Body: body.file ? fs.createReadStream(body.file) : body.data
+            };
+            if (this.acl !== "none") params.ACL = this.acl;
+
+            this.s3.upload(params, { partSize, queueSize: concurrency }, err => cb(err))
+                .on('httpUploadProgress', p => onProgress(p.loaded, p.total));
+        });
+    }
+
+    getObject(key, dest, cb) {
+        const writeStream = fs.createWriteStream(dest);
+        const readStream = this.s3.getObject({
+            Bucket: this.bucket,
+            Key: key,
+        }).createReadStream();
+
+        let finished = false;
+        const finish = err => {
+            if (finished) return;
+            finished = true;
+            if (err) writeStream.destroy();
+            cb(err);
+        };
+
+        readStream.on('error', finish);
+        writeStream.on('error', finish);
+        writeStream.on('finish', () => finish());
+        readStream.pipe(writeStream);
+    }
+
+    headObject(key, cb) {
+        this.s3.headObject({ Bucket: this.bucket, Key: key }, (err, data) => {
+            if (err) cb(err);
+            else {
+                // The ETag is the MD5 checksum of objects that were neither
+                // uploaded in parts nor encrypted with KMS or customer keys
+                const etag = (data.ETag || "").replace(/"/g, "");
+                const plain = (!data.ServerSideEncryption || data.ServerSideEncryption === "AES256") && !data.SSECustomerAlgorithm;
+                cb(null, { size: data.ContentLength, etag, md5: plain && /^[0-9a-f]{32}$/.test(etag) ? etag : null });
+            }
+        });
+    }
+
+    listObjects(prefix, cb) {
+        let objects = [];
+
+        const list = (continuationToken) => {
+            this.s3.listObjectsV2({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }, (err, data) => {
+                if (err) cb(err);
+                else {
+                    objects = objects.concat(data.Contents.map(o => ({ key: o.Key, size: o.Size, lastModified: o.LastModified.getTime() })));
+                    if (data.IsTruncated) list(data.NextContinuationToken);
+                    else cb(null, objects);
+                }
+            });
+        };
+
+        list();
+    }
+
+    deleteObject(key, cb) {
+        this.s3.deleteObject({ Bucket: this.bucket, Key: key }, err => cb(err));
+    }
+};
@@ -0,0 +1,219 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const glob = require('glob');
+const path = require('path');
+const logger = require('../logger');
+
+const PARALLEL_UPLOADS = 4; // Upload these many files at the same time
+const MAX_UPLOAD_RETRIES = 6;
+const MAX_DOWNLOAD_RETRIES = 10;
+const MAX_DOWNLOAD_RETRY_DELAY = 30; // seconds
+
+// Storage backends hold the inputs and results of tasks. All backends share
+// the same contract (upload, uploadPaths, download, stat, list, remove), keys are
+// "/" separated paths relative to the prefix of the backend (if any).
+// Retries and progress reporting are handled here, drivers only need
+// to implement putObject, getObject, headObject, listObjects and deleteObject.
+module.exports = /*abstract */ class StorageBase {
+    // @param options {Object} driver options, prefix {String} is common to all drivers
+    constructor(options = {}) {
+        this.options = options;
+        this.prefix = (options.prefix || "").replace(/^\/+|\/+$/g, "");
+    }
+
+    // Human readable name of the backend, used in messages
+    get name() {
+        return this.constructor.name.replace(/Storage$/, "");
+    }
+
+    // Checks that the backend can be used
+    initialize(cb) {
+        cb();
+    }
+
+    // Full key of an object (including the prefix of the backend)
+    key(key) {
+        key = String(key).replace(/\\/g, "/").replace(/^\/+/, "");
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    // @param key {String} destination key
+    // @param src {String|Object} path of the file to upload, or an object to upload as JSON
+    // @param cb {Function} callback(err)
+    // @param onOutput {Function} (optional) callback when output lines are available
+    upload(key, src, cb, onOutput) {
+        const body = typeof src === "string" ? { file: src } : { data: JSON.stringify(src) };
+        const name = path.basename(key);
+        let retries = 0;
+        let progress = 0;
+
+        const onProgress = (loaded, total) => {
+            const perc = total ? Math.round((loaded / total) * 100) : 100;
+            if (perc % 5 === 0 && progress < perc) {
+                progress = perc;
+                if (onOutput) {
+                    onOutput(`Uploading ${name}... ${progress}%`);
+                    if (progress === 100) onOutput(`Finalizing ${name} upload, this could take a bit...`);
+                }
+            }
+        };
+
+        const put = () => {
+            logger.debug(`Uploading ${body.file || "(data)"} --> ${this.key(key)}`);
+            this.putObject(this.key(key), body, retries, onProgress, err => {
+                if (!err) cb();
+                else {
+                    logger.debug(err);
+                    const msg = `Cannot upload file ${key} to ${this.name}: ${err.message}${err.code ? ` (${err.code})` : ""}`;
+                    if (retries < MAX_UPLOAD_RETRIES && err.retryable !== false && err.code !== 'ENOENT') {
+                        retries++;
+                        progress = 0;
+                        if (onOutput) onOutput(`${msg}, retrying... ${retries}`);
+                        setTimeout(put, Math.pow(2, retries) * 1000);
+                    } else cb(new Error(msg));
+                }
+            });
+        };
+
+        put();
+    }
+
+    // @param srcFolder {String} folder where to find paths (on local machine)
+    // @param dstFolder {String} key prefix where to upload files
+    // @param paths [{String}] list of paths (files or folders) relative to srcFolder,
+    //      missing paths are skipped
+    // @param cb {Function} callback(err)
+    // @param onOutput {Function} (optional) callback when output lines are available
+    uploadPaths(srcFolder, dstFolder, paths, cb, onOutput) {
+        let uploadList = [];
+
+        paths.forEach(p => {
+            const fullPath = path.join(srcFolder, p);
+
+            // Skip non-existing items
+            if (!fs.existsSync(fullPath)) return;
+
+            if (fs.lstatSync(fullPath).isDirectory()) {
+                glob.sync(`${p}/**`, { cwd: srcFolder, nodir: true, nosort: true }).forEach(gp => {
+                    uploadList.push({ src: path.join(srcFolder, gp), dest: path.posix.join(dstFolder, gp.replace(/\\/g, "/")) });
+                });
+            } else {
+                uploadList.push({ src: fullPath, dest: path.posix.join(dstFolder, p.replace(/\\/g, "/")) });
+            }
+        });
+
+        if (onOutput) onOutput(`Uploading ${uploadList.length} files to ${this.name}...`);
+        async.eachLimit(uploadList, PARALLEL_UPLOADS, (file, cb) => {
+            this.upload(file.dest, file.src, cb, onOutput);
+        }, cb);
+    }
+
+    // @param key {String} source key
+    // @param dest {String} destination file path
+    // @param cb {Function} callback(err), err.retryable is false if retrying cannot help
+    // @param maxRetries {Number} (optional) number of times a failed download is retried,
+    //      waiting longer after each attempt
+    download(key, dest, cb, maxRetries = MAX_DOWNLOAD_RETRIES) {
+        let retries = 0;
+
+        const get = () => {
+            this.getObject(this.key(key), dest, err => {
+                if (!err) cb();
+                else if (retries < maxRetries && err.retryable !== false) {
+                    retries++;
+                    logger.debug(`Cannot download ${key} from ${this.name}: ${err.message}, retrying... ${retries}`);
+                    setTimeout(get, Math.min(Math.pow(2, retries - 1), MAX_DOWNLOAD_RETRY_DELAY) * 1000);
+                } else {
+                    const error = new Error(`Cannot download ${key} from ${this.name}: ${err.message}`);
+                    error.retryable = err.retryable;
+                    cb(error);
+                }
+            });
+        };
+
+        get();
+    }
+
+    // Reads the size and checksum of an object
+    // @param cb {Function} callback(err, {size, etag, md5}), md5 (hex) is null when
+    //      the backend cannot tell the MD5 checksum of the object
+    stat(key, cb) {
+        this.headObject(this.key(key), (err, info) => {
+            if (err) {
+                const error = new Error(`Cannot read ${key} from ${this.name}: ${err.message}`);
+                error.retryable = err.retryable;
+                cb(error);
+            } else cb(null, info);
+        });
+    }
+
+    // Lists the objects whose key starts with prefix
+    // @param cb {Function} callback(err, [{key, size, lastModified}]), keys are relative to the backend prefix
+    list(prefix, cb) {
+        this.listObjects(this.key(prefix), (err, objects) => {
+            if (err) cb(err);
+            else {
+                const skip = this.prefix ? this.prefix.length + 1 : 0;
+                cb(null, objects.map(o => ({ key: o.key.substr(skip), size: o.size, lastModified: o.lastModified })));
+            }
+        });
+    }
+
+    // Deletes an object. Deleting a missing object is not an error.
+    // @param cb {Function} callback(err)
+    remove(key, cb) {
+        this.deleteObject(this.key(key), cb);
+    }
+
+    // @param key {String} full key
+    // @param body {Object} {file} (path of a file) or {data} (string)
+    // @param attempt {Number} number of previous failed attempts
+    // @param onProgress {Function} (bytesUploaded, totalBytes)
+    // @param cb {Function} callback(err), errors with retryable === false are not retried
+    putObject(key, body, attempt, onProgress, cb) {
+        cb(new Error("Not implemented"));
+    }
+
+    // @param key {String} full key
+    // @param dest {String} destination file path
+    // @param cb {Function} callback(err), errors with retryable === false are not retried
+    getObject(key, dest, cb) {
+        cb(new Error("Not implemented"));
+    }
+
+    // @param key {String} full key
+    // @param cb {Function} callback(err, {size, etag, md5}), errors with retryable === false are not retried
+    headObject(key, cb) {
+        cb(new Error("Not implemented"));
+    }
+
+    // @param prefix {String} full key prefix
+    // @param cb {Function} callback(err, [{key, size, lastModified}]) with full keys
+    listObjects(prefix, cb) {
+        cb(new Error("Not implemented"));
+    }
+
+    // @param key {String} full key
+    // @param cb {Function} callback(err)
+    deleteObject(key, cb) {
+        cb(new Error("Not implemented"));
+    }
+};
@@ -0,0 +1,196 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const config = require('../../config');
+const S3Storage = require('./S3Storage');
+const GcsStorage = require('./GcsStorage');
+const AzureStorage = require('./AzureStorage');
+const LocalStorage = require('./LocalStorage');
+
+const drivers = {
+    s3: S3Storage,
+    gcs: GcsStorage,
+    azure: AzureStorage,
+    local: LocalStorage
+};
+
+// Fields of the storage settings of a task
+const SETTINGS = ["endpoint", "bucket", "prefix", "profile"];
+
+let storage = null;
+
+// Driver and driver options set in the configuration (null if none)
+const configOptions = (config) => {
+    const driver = config.storage || (config.s3Endpoint && config.s3Bucket ? "s3" : "");
+
+    switch (driver) {
+        case "":
+            return null;
+        case "s3":
+        case "gcs":
+            return {
+                driver,
+                options: {
+                    endpoint: config.s3Endpoint,
+                    bucket: config.s3Bucket,
+                    accessKey: config.s3AccessKey,
+                    secretKey: config.s3SecretKey,
+                    signatureVersion: config.s3SignatureVersion,
+                    forcePathStyle: config.s3ForcePathStyle,
+                    acl: config.s3ACL,
+                    ignoreSSL: config.s3IgnoreSSL
+                }
+            };
+        case "azure":
+            return {
+                driver,
+                options: {
+                    account: config.azureAccount,
+                    key: config.azureKey,
+                    sasToken: config.azureSasToken,
+                    bucket: config.azureContainer
+                }
+            };
+        case "local":
+            return {
+                driver,
+                options: {
+                    path: config.storagePath
+                }
+            };
+        default:
+            throw new Error(`Invalid --storage: ${driver} (must be one of ${Object.keys(drivers).join(", ")})`);
+    }
+};
+
+const hasProfile = name => Object.prototype.hasOwnProperty.call(config.storageProfiles, name);
+
+module.exports = {
+    drivers: Object.keys(drivers),
+
+    // @param driver {String} one of s3, gcs, azure, local
+    // @param options {Object} options of the driver
+    create: function(driver, options){
+        if (!drivers[driver]) throw new Error(`Invalid storage driver: ${driver} (must be one of ${this.drivers.join(", ")})`);
+        return new drivers[driver](options);
+    },
+
+    // Storage backend set in the configuration (null if none)
+    fromConfig: function(config){
+        const storage = configOptions(config);
+        return storage ? this.create(storage.driver, storage.options) : null;
+    },
+
+    // Parses the storage settings of a task: {endpoint, bucket, prefix, profile} (optionally
+    // serialized as JSON), where profile is the name of one of the storage profiles of the node.
+    // Returns null if no settings are given, throws an error if the settings are invalid.
+    parseSettings: function(settings){
+        if (settings === undefined || settings === null || settings === "") return null;
+
+        if (typeof settings === "string") {
+            try {
+                settings = JSON.parse(settings);
+            } catch (e) {
+                throw new Error(`Invalid storage: ${e.message}`);
+            }
+        }
+        if (typeof settings !== "object" || Array.isArray(settings) || settings === null) {
+            throw new Error("Invalid storage: must be an object");
+        }
+
+        const result = {};
+        for (let k in settings) {
+            if (SETTINGS.indexOf(k) === -1) throw new Error(`Invalid storage: unknown field ${k} (must be one of ${SETTINGS.join(", ")})`);
+            if (typeof settings[k] !== "string") throw new Error(`Invalid storage: ${k} must be a string`);
+            if (settings[k] !== "") result[k] = settings[k];
+        }
+        if (Object.keys(result).length === 0) return null;
+
+        if (result.profile !== undefined && !hasProfile(result.profile)) {
+            throw new Error(`Invalid storage: unknown profile ${result.profile}`);
+        }
+
+        // Don't let clients point the credentials of the node to endpoints,
+        // buckets or prefixes of their choosing
+        const overrides = ["endpoint", "bucket", "prefix"].filter(k => result[k] !== undefined);
+        if (overrides.length > 0 && result.profile === undefined) {
+            throw new Error(`Invalid storage: a profile is required to set ${overrides.join(", ")}`);
+        }
+
+        // Profiles can restrict the buckets that tasks use
+        const profile = result.profile !== undefined ? config.storageProfiles[result.profile] : null;
+        if (result.bucket !== undefined && Array.isArray(profile.buckets) &&
+            result.bucket !== profile.bucket && profile.buckets.indexOf(result.bucket) === -1) {
+            throw new Error(`Invalid storage: bucket ${result.bucket} is not allowed by profile ${result.profile}`);
+        }
+
+        this.fromSettings(result); // Validates the driver options
+        return result;
+    },
+
+    // Storage backend for the storage settings of a task (see parseSettings).
+    // Settings are applied over the options of the profile, which are applied over
+    // the options set in the configuration (unless the profile uses another driver).
+    fromSettings: function(settings){
+        if (settings.profile !== undefined && !hasProfile(settings.profile)) {
+            throw new Error(`Unknown storage profile: ${settings.profile}`);
+        }
+
+        const defaults = configOptions(config);
+        const profile = settings.profile !== undefined ? config.storageProfiles[settings.profile] : {};
+        const driver = profile.driver || (defaults ? defaults.driver : "");
+        if (!driver) throw new Error("No storage backend is configured");
+
+        const options = Object.assign({}, defaults && defaults.driver === driver ? defaults.options : {}, profile);
+        delete options.driver;
+        ["endpoint", "bucket", "prefix"].forEach(k => {
+            if (settings[k] !== undefined) options[k] = settings[k];
+        });
+
+        return this.create(driver, options);
+    },
+
+    initialize: function(cb){
+        const profiles = config.storageProfiles;
+        if (typeof profiles !== "object" || profiles === null || Array.isArray(profiles)) {
+            cb(new Error("Invalid storage profiles: must be an object"));
+            return;
+        }
+        const invalid = Object.keys(profiles).find(name => {
+            const profile = profiles[name];
+            return typeof profile !== "object" || profile === null || (profile.driver !== undefined && !drivers[profile.driver]);
+        });
+        if (invalid !== undefined) {
+            cb(new Error(`Invalid storage profile: ${invalid}`));
+            return;
+        }
+
+        try {
+            storage = this.fromConfig(config);
+        } catch (e) {
+            cb(e);
+            return;
+        }
+
+        if (storage) storage.initialize(cb);
+        else cb();
+    },
+
+    // Default storage backend (null if none is configured)
+    singleton: function(){ return storage; }
+};
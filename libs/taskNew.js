@@ -31,9 +31,12 @@ const async = require("async");
 const odmInfo = require("./odmInfo");
 const request = require("request");
 const ziputils = require("./ziputils");
+const utils = require("./utils");
+const uploadManifest = require("./uploadManifest");
 const logger = require("./logger");
-
-const s3 = require("./S3");
+const webhooks = require("./webhooks");
+const storage = require("./storage/factory");
+const linkSources = require("./linkSources");
 
 const download = function (uri, filename, callback) {
     request.head(uri, function (err, res, body) {
@@ -100,6 +103,155 @@ const upload = multer({
     }),
 });
 
+// Reads the body.json of a task created via /task/new/init
+// @param cb {Function} callback(err, body)
+const readBody = (srcPath, cb) => {
+    fs.readFile(path.join(srcPath, "body.json"), "utf8", (err, data) => {
+        if (err) cb(err);
+        else {
+            try {
+                cb(null, JSON.parse(data));
+            } catch (e) {
+                cb(new Error("Malformed body.json"));
+            }
+        }
+    });
+};
+
+// Partial resumable uploads are kept in tmp/<uuid>/.uploads/<sha256>/<filename>
+// until they are finalized and moved to tmp/<uuid>/<filename>
+const UPLOADS_DIR = ".uploads";
+
+// Files of resumable uploads that are currently being written
+const activeUploads = {};
+
+// UUIDs of the tasks that are being committed, their
+// resumable uploads can no longer be written to
+const committing = {};
+
+// Whether a chunk of a resumable upload is being written in srcPath
+const hasActiveUploads = (srcPath) => {
+    const prefix = path.join(srcPath, UPLOADS_DIR) + path.sep;
+    return Object.keys(activeUploads).some((partial) =>
+        partial.startsWith(prefix),
+    );
+};
+
+// Reads how much of a resumable upload has been received
+// @param cb {Function} callback(err, {offset, complete, filename}),
+//      filename is the name the file was stored with (once complete)
+const uploadState = (upload, cb) => {
+    fs.readFile(upload.marker, "utf8", (err, data) => {
+        if (!err) {
+            try {
+                const done = JSON.parse(data);
+                cb(null, {
+                    offset: done.size,
+                    complete: true,
+                    filename: done.filename,
+                });
+            } catch (e) {
+                cb(new Error(`Malformed ${upload.marker}`));
+            }
+        } else if (err.code !== "ENOENT") cb(err);
+        else {
+            fs.stat(upload.partial, (err, stats) => {
+                if (!err) cb(null, { offset: stats.size, complete: false });
+                else if (err.code === "ENOENT")
+                    cb(null, { offset: 0, complete: false });
+                else cb(err);
+            });
+        }
+    });
+};
+
+// Appends the body of req to file. If the connection drops,
+// the bytes received so far are kept so that the upload can be resumed.
+const appendChunk = (req, file, cb) => {
+    fs.mkdir(path.dirname(file), { recursive: true }, (err) => {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        const out = fs.createWriteStream(file, { flags: "a" });
+        let finished = false;
+        const finish = (err) => {
+            if (finished) return;
+            finished = true;
+            cb(err);
+        };
+
+        out.on("error", (err) => {
+            req.unpipe(out);
+            finish(err);
+        });
+        out.on("close", () => finish());
+        req.on("error", () => out.end());
+        req.on("close", () => {
+            if (!req.complete) out.end();
+        });
+        req.pipe(out);
+    });
+};
+
+// Moves a complete resumable upload to tmp/<uuid>. If a file with the same
+// name and contents was already uploaded, the upload is dropped instead.
+// If the task has a manifest, a file with the same name is replaced.
+// @param cb {Function} callback(err, filename)
+const storeUpload = (srcPath, upload, replace, cb) => {
+    const dstFile = path.join(srcPath, upload.filename);
+    const move = (filename) => {
+        mv(upload.partial, path.join(srcPath, filename), (err) =>
+            cb(err, filename),
+        );
+    };
+
+    utils.sha256(dstFile, (err, digest) => {
+        if (err && err.code === "ENOENT") move(upload.filename);
+        else if (err) cb(err);
+        else if (replace) move(upload.filename);
+        else if (digest === upload.sha256) {
+            fs.unlink(upload.partial, (err) => cb(err, upload.filename));
+        } else {
+            assureUniqueFilename(srcPath, upload.filename, (err, filename) => {
+                if (err) cb(err);
+                else move(filename);
+            });
+        }
+    });
+};
+
+const checkPriority = (priority, cb) => {
+    if (priority === undefined || priority === "" || !isNaN(parseInt(priority)))
+        cb();
+    else cb(new Error(`Invalid priority: ${priority}`));
+};
+
+const checkWebhook = (webhook, cb) => {
+    try {
+        webhooks.parseTargets(webhook);
+        cb();
+    } catch (e) {
+        cb(e);
+    }
+};
+
+// Parses the storage settings of a task and checks that its storage can be reached
+// @param cb {Function} callback(err, settings), settings are null if none were given
+const checkStorage = (settings, cb) => {
+    let parsed;
+    try {
+        parsed = storage.parseSettings(settings);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+
+    if (!parsed) cb(null, null);
+    else storage.fromSettings(parsed).initialize((err) => cb(err, parsed));
+};
+
 const checkSingularProcessOptions = (options, taskType, cb) => {
     try {
         if (typeof options === "string") options = JSON.parse(options);
@@ -215,6 +367,66 @@ module.exports = {
 
     uploadImages: upload.array("images"),
 
+    // Reads the manifest of the task (if any) into req.manifest
+    getManifest: (req, res, next) => {
+        readBody(path.join("tmp", req.id), (err, body) => {
+            if (err) res.json({ error: err.message });
+            else {
+                req.manifest = body.manifest || null;
+                next();
+            }
+        });
+    },
+
+    // Verifies uploaded files against the manifest of the task (if any).
+    // Files that are not in the manifest or that do not match it are removed.
+    verifyUploads: (req, res, next) => {
+        if (!req.manifest || !req.files || !req.files.length) {
+            next();
+            return;
+        }
+
+        const srcPath = path.join("tmp", req.id);
+        const errors = [];
+
+        async.eachSeries(
+            req.files,
+            (file, cb) => {
+                const name =
+                    file.originalname === "body.json"
+                        ? "_body.json"
+                        : file.originalname;
+                const entry = uploadManifest.find(req.manifest, name);
+                const reject = (error) => {
+                    errors.push(error);
+                    fs.unlink(file.path, () => cb());
+                };
+
+                if (!entry) reject(`${name} is not in the manifest`);
+                else {
+                    uploadManifest.verify(file.path, entry, (err, problem) => {
+                        if (err) cb(err);
+                        else if (problem)
+                            reject(`${name} is corrupt (${problem})`);
+                        else if (file.filename !== name) {
+                            // Replace a previous upload of the same file
+                            fs.rename(
+                                file.path,
+                                path.join(srcPath, name),
+                                cb,
+                            );
+                        } else cb();
+                    });
+                }
+            },
+            (err) => {
+                if (err) res.json({ error: err.message });
+                else if (errors.length) res.json({ error: errors.join(", ") });
+                else next();
+            },
+        );
+    },
+
     handleUpload: (req, res) => {
         // IMPROVEMENT: check files count limits ahead of handleTaskNew
         if (req.files && req.files.length > 0) {
@@ -224,70 +436,347 @@ module.exports = {
         }
     },
 
+    // Validates the filename and SHA-256 checksum that identify a resumable upload
+    getResumableUpload: (req, res, next) => {
+        let filename = req.params.filename;
+        const sha256 = String(req.query.sha256 || "").toLowerCase();
+
+        if (committing[req.id]) {
+            res.json({
+                error: "The task is being committed, files can no longer be uploaded",
+            });
+        } else if (
+            !filename ||
+            filename.startsWith(".") ||
+            /[\\/]/.test(filename)
+        ) {
+            res.json({ error: `Invalid filename: ${filename}`, noRetry: true });
+        } else if (!/^[0-9a-f]{64}$/.test(sha256)) {
+            res.json({
+                error: "Invalid sha256: must be the hex encoded SHA-256 checksum of the file",
+                noRetry: true,
+            });
+        } else {
+            if (filename === "body.json") filename = "_body.json";
+
+            const entry =
+                req.manifest && uploadManifest.find(req.manifest, filename);
+            if (req.manifest && !entry) {
+                res.json({
+                    error: `${filename} is not in the manifest`,
+                    noRetry: true,
+                });
+                return;
+            }
+            if (entry && entry.sha256 !== sha256) {
+                res.json({
+                    error: `The sha256 of ${filename} does not match the manifest`,
+                    noRetry: true,
+                });
+                return;
+            }
+
+            const dir = path.join("tmp", req.id, UPLOADS_DIR, sha256);
+            req.upload = {
+                filename,
+                sha256,
+                partial: path.join(dir, filename),
+                marker: path.join(dir, `${filename}.done`),
+            };
+            next();
+        }
+    },
+
+    handleUploadOffset: (req, res) => {
+        uploadState(req.upload, (err, state) => {
+            if (err) res.json({ error: err.message });
+            else {
+                res.set("Upload-Offset", String(state.offset));
+                res.set("Cache-Control", "no-store");
+                res.json(state);
+            }
+        });
+    },
+
+    handleUploadChunk: (req, res) => {
+        const upload = req.upload;
+        const offset = parseInt(req.get("Upload-Offset"));
+
+        if (isNaN(offset) || offset < 0) {
+            res.json({ error: "Invalid Upload-Offset header", noRetry: true });
+            return;
+        }
+        if (activeUploads[upload.partial]) {
+            res.json({
+                error: `Another chunk of ${upload.filename} is being uploaded`,
+            });
+            return;
+        }
+
+        activeUploads[upload.partial] = true;
+        const done = (err, state) => {
+            delete activeUploads[upload.partial];
+
+            if (err) res.json({ error: err.message });
+            else {
+                res.set("Upload-Offset", String(state.offset));
+                res.json(Object.assign({ success: true }, state));
+            }
+        };
+
+        uploadState(upload, (err, state) => {
+            if (err || state.complete) done(err, state);
+            else if (state.offset !== offset) {
+                delete activeUploads[upload.partial];
+                res.set("Upload-Offset", String(state.offset));
+                res.json({
+                    error: `Upload-Offset mismatch: ${state.offset} bytes of ${upload.filename} have been received`,
+                    offset: state.offset,
+                });
+            } else {
+                appendChunk(req, upload.partial, (err) => {
+                    if (err) done(err);
+                    else uploadState(upload, done);
+                });
+            }
+        });
+    },
+
+    handleUploadFinalize: (req, res) => {
+        const upload = req.upload;
+        const srcPath = path.join("tmp", req.id);
+
+        if (activeUploads[upload.partial]) {
+            res.json({
+                error: `Another chunk of ${upload.filename} is being uploaded`,
+            });
+            return;
+        }
+
+        activeUploads[upload.partial] = true;
+        const done = (err, result) => {
+            delete activeUploads[upload.partial];
+
+            if (err) res.json({ error: err.message });
+            else res.json(Object.assign({ success: true }, result));
+        };
+
+        uploadState(upload, (err, state) => {
+            if (err || state.complete) done(err, state);
+            else if (state.offset === 0)
+                done(new Error(`${upload.filename} has not been uploaded`));
+            else {
+                utils.sha256(upload.partial, (err, digest) => {
+                    if (err) done(err);
+                    else if (digest !== upload.sha256) {
+                        // Start over
+                        fs.unlink(upload.partial, (err) => {
+                            if (err) done(err);
+                            else
+                                done(
+                                    new Error(
+                                        `Checksum mismatch for ${upload.filename}, the file must be uploaded again`,
+                                    ),
+                                );
+                        });
+                    } else {
+                        storeUpload(
+                            srcPath,
+                            upload,
+                            !!req.manifest,
+                            (err, filename) => {
+                                if (err) done(err);
+                                else {
+                                    const result = {
+                                        offset: state.offset,
+                                        complete: true,
+                                        filename,
+                                    };
+                                    utils.writeFileAtomic(
+                                        upload.marker,
+                                        JSON.stringify({
+                                            filename,
+                                            size: state.offset,
+                                        }),
+                                        (err) => done(err, result),
+                                    );
+                                }
+                            },
+                        );
+                    }
+                });
+            }
+        });
+    },
+
+    handleStatus: (req, res) => {
+        uploadManifest.status(
+            path.join("tmp", req.id),
+            req.manifest,
+            (err, status) => {
+                if (err) res.json({ error: err.message });
+                else
+                    res.json(
+                        Object.assign({ manifest: !!req.manifest }, status),
+                    );
+            },
+        );
+    },
+
     handleImageLinks: (req, res) => {
-        if (req.body.images && req.body.images.length) {
-            const srcPath = path.join("tmp", req.id);
-            fs.appendFile(
-                `${srcPath}/images.sg`,
-                req.body.images.join("\n"),
-                (err) => {
-                    if (err) res.json({ error: err.message });
-                    else res.json({ success: true });
-                },
-            );
+        const srcPath = path.join("tmp", req.id);
+        const links = []
+            .concat(req.body.images || [])
+            .map((link) => String(link).trim())
+            .filter((link) => link !== "");
+
+        if (!links.length) {
+            res.json({ error: "Need at least 1 link.", noRetry: true });
+            return;
         }
+
+        readBody(srcPath, (err, body) => {
+            if (err) {
+                res.json({ error: err.message });
+                return;
+            }
+
+            // Reject links that cannot be downloaded before the task is created
+            linkSources.validate(links, body.storage || null, (errors) => {
+                if (errors.length) {
+                    const messages = errors.slice(0, 5).map((e) => e.message);
+                    if (errors.length > 5)
+                        messages.push(`and ${errors.length - 5} more`);
+                    res.json({
+                        error: `${errors.length} links cannot be used: ${messages.join("; ")}`,
+                        noRetry: errors.every((e) => e.retryable === false),
+                    });
+                } else {
+                    fs.appendFile(
+                        path.join(srcPath, "images.sg"),
+                        links.map((link) => `${link}\n`).join(""),
+                        (err) => {
+                            if (err) res.json({ error: err.message });
+                            else res.json({ success: true });
+                        },
+                    );
+                }
+            });
+        });
     },
 
     handleCommit: (req, res, next) => {
         const srcPath = path.join("tmp", req.id);
-        const bodyFile = path.join(srcPath, "body.json");
         const imagesFile = path.join(srcPath, "images.sg");
 
-        async.series(
-            {
-                body: (cb) => {
-                    fs.readFile(bodyFile, "utf8", (err, data) => {
-                        if (err) cb(err);
-                        else {
-                            try {
-                                const body = JSON.parse(data);
-                                cb(null, body);
-                            } catch (e) {
-                                cb(new Error("Malformed body.json"));
-                            }
-                        }
-                    });
-                },
-                imageLinks: (cb) => {
-                    fs.stat(imagesFile, (err, stats) => {
-                        if (err) cb(null);
-                        else {
-                            fs.readFile(imagesFile, "utf8", (err, data) => {
+        if (committing[req.id]) {
+            res.json({ error: "The task is already being committed" });
+            return;
+        }
+        if (hasActiveUploads(srcPath)) {
+            res.json({
+                error: "Files are still being uploaded, commit once all uploads have completed",
+            });
+            return;
+        }
+
+        // No more chunks or finalizations are accepted until the
+        // task has been created (or the commit has failed)
+        committing[req.id] = true;
+        const done = () => delete committing[req.id];
+        res.on("finish", done);
+        res.on("close", done);
+
+        async.waterfall(
+            [
+                (cb) => readBody(srcPath, cb),
+                (body, cb) => {
+                    // Refuse to commit until all files of the manifest have been received
+                    if (!body.manifest) cb(null, body);
+                    else {
+                        uploadManifest.status(
+                            srcPath,
+                            body.manifest,
+                            (err, status) => {
                                 if (err) cb(err);
-                                else {
-                                    const imageLinks = data.split("\n");
+                                else if (
+                                    status.missing.length +
+                                        status.corrupt.length +
+                                        status.unexpected.length >
+                                    0
+                                ) {
+                                    const err = new Error(
+                                        `Uploaded files do not match the manifest: ${status.missing.length} missing, ${status.corrupt.length} corrupt, ${status.unexpected.length} unexpected. Call /task/new/status for details.`,
+                                    );
+                                    err.status = status;
+                                    cb(err);
+                                } else cb(null, body);
+                            },
+                        );
+                    }
+                },
+            ],
+            (err, body) => {
+                if (err) {
+                    res.json(
+                        Object.assign({ error: err.message }, err.status || {}),
+                    );
+                    return;
+                }
 
-                                    cb(null, imageLinks);
+                async.series(
+                    {
+                        imageLinks: (cb) => {
+                            fs.stat(imagesFile, (err, stats) => {
+                                if (err) cb(null);
+                                else {
+                                    fs.readFile(
+                                        imagesFile,
+                                        "utf8",
+                                        (err, data) => {
+                                            if (err) cb(err);
+                                            else {
+                                                const imageLinks = data
+                                                    .split("\n")
+                                                    .map((l) => l.trim())
+                                                    .filter((l) => l !== "");
+
+                                                cb(null, imageLinks);
+                                            }
+                                        },
+                                    );
                                 }
                             });
-                        }
-                    });
-                },
-                files: (cb) => fs.readdir(srcPath, cb),
-            },
-            (err, { body, imageLinks, files }) => {
-                if (err) res.json({ error: err.message });
-                else {
-                    req.body = body;
-                    req.files = files;
-                    req.body.imageLinks = imageLinks || [];
-
-                    if (req.files.length + imageLinks.length === 0) {
-                        req.error = "Need at least 1 file.";
-                    }
+                        },
+                        uploads: (cb) => {
+                            // Discard resumable uploads that were never finalized
+                            removeDirectory(
+                                path.join(srcPath, UPLOADS_DIR),
+                                () => cb(),
+                            );
+                        },
+                        files: (cb) => fs.readdir(srcPath, cb),
+                    },
+                    (err, { imageLinks, files }) => {
+                        if (err) res.json({ error: err.message });
+                        else {
+                            uploadManifest.forget(srcPath);
+                            req.body = body;
+                            req.files = files;
+                            req.body.imageLinks = imageLinks || [];
+
+                            if (
+                                req.files.length +
+                                    req.body.imageLinks.length ===
+                                0
+                            ) {
+                                req.error = "Need at least 1 file.";
+                            }
 
-                    next();
-                }
+                            next();
+                        }
+                    },
+                );
             },
         );
     },
@@ -311,6 +800,24 @@ module.exports = {
 
         async.series(
             [
+                (cb) => checkPriority(req.body.priority, cb),
+                (cb) => checkWebhook(req.body.webhook, cb),
+                (cb) => {
+                    checkStorage(req.body.storage, (err, settings) => {
+                        req.body.storage = settings;
+                        cb(err);
+                    });
+                },
+                (cb) => {
+                    try {
+                        req.body.manifest = uploadManifest.parse(
+                            req.body.manifest,
+                        );
+                        cb();
+                    } catch (e) {
+                        cb(e);
+                    }
+                },
                 (cb) => {
                     // Check for problems before file uploads
                     if (req.body && req.body.options) {
@@ -570,6 +1077,14 @@ module.exports = {
                             else cb(new Error(`Invalid UUID`));
                         });
                     },
+                    (cb) => checkPriority(req.body.priority, cb),
+                    (cb) => checkWebhook(req.body.webhook, cb),
+                    (cb) => {
+                        checkStorage(req.body.storage, (err, settings) => {
+                            req.body.storage = settings;
+                            cb(err);
+                        });
+                    },
                     (cb) => {
                         odmInfo.filterOptions(
                             req.body.options,
@@ -598,9 +1113,10 @@ module.exports = {
                             req.body.webhook,
                             req.body.skipPostProcessing === "true",
                             req.body.outputs,
-                            [],
                             req.body.dateCreated,
                             imagesCountEstimate,
+                            req.body.priority,
+                            req.body.storage,
                         );
                         TaskManager.singleton().addNew(task);
                         res.json({ uuid: req.id });
@@ -636,6 +1152,14 @@ module.exports = {
 
             async.series(
                 [
+                    (cb) => checkPriority(req.body.priority, cb),
+                    (cb) => checkWebhook(req.body.webhook, cb),
+                    (cb) => {
+                        checkStorage(req.body.storage, (err, settings) => {
+                            req.body.storage = settings;
+                            cb(err);
+                        });
+                    },
                     // check options
                     (cb) => {
                         checkSingularProcessOptions(
@@ -661,8 +1185,9 @@ module.exports = {
                             req.body.options,
                             req.body.webhook,
                             req.body.taskType,
-                            [],
                             req.body.dateCreated,
+                            req.body.priority,
+                            req.body.storage,
                         );
 
                         TaskManager.singleton().addNew(task);
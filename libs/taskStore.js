@@ -0,0 +1,212 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+const utils = require('./utils');
+const Directories = require('./Directories');
+
+// Task state is kept in an append-only journal. Each line is a JSON record,
+// either {op: "put", constructorName, data} with the serialized state of a task
+// or {op: "del", uuid}. The journal is compacted (rewritten with a single "put"
+// for each task) periodically. Compacted journals are written atomically and
+// the last config.taskSnapshots journals are kept as backups (tasks.journal.1, .2, ...).
+const JOURNAL_FILE = path.join(Directories.data, "tasks.journal");
+const LEGACY_DUMP_FILE = path.join(Directories.data, "tasks.json");
+const COMPACT_AFTER = 1000; // Number of appended records that triggers a compaction
+
+// Writes to the journal are done one at a time, in order
+const writeQueue = async.queue((job, cb) => job(cb), 1);
+let appendedRecords = 0;
+let compactionRequested = null;
+let compactionPending = false;
+
+const append = (line) => {
+    writeQueue.push(cb => {
+        fs.appendFile(JOURNAL_FILE, line + "\n", err => {
+            if (err) logger.error(`Could not write to task journal: ${err.message}`);
+            else appendedRecords++;
+
+            if (appendedRecords >= COMPACT_AFTER && compactionRequested && !compactionPending) {
+                compactionPending = true;
+                compactionRequested();
+            }
+            cb();
+        });
+    });
+};
+
+const snapshotFile = n => `${JOURNAL_FILE}.${n}`;
+
+// Reads the tasks saved in file, which is either a journal or
+// a tasks.json dump (JSON array). A journal with corrupted records is rejected,
+// unless lenient is set (in which case corrupted records are skipped).
+// A partially written last record (expected after a crash) is always ignored.
+const readTasksFile = (file, lenient, done) => {
+    fs.readFile(file, 'utf8', (err, data) => {
+        if (err) {
+            done(err);
+            return;
+        }
+
+        if (data.trim()[0] === "[") {
+            try {
+                done(null, JSON.parse(data));
+            } catch (e) {
+                done(new Error(`${file} is corrupted (${e.message})`));
+            }
+            return;
+        }
+
+        const records = {};
+        const lines = data.split("\n").filter(l => l.trim() !== "");
+        for (let i = 0; i < lines.length; i++) {
+            try {
+                const record = JSON.parse(lines[i]);
+                if (record.op === "put") records[record.data.uuid] = { constructorName: record.constructorName, data: record.data };
+                else if (record.op === "del") delete records[record.uuid];
+            } catch (e) {
+                if (i === lines.length - 1) logger.warn(`Ignoring incomplete last record of ${file}`);
+                else if (lenient) logger.warn(`Ignoring corrupted record ${i + 1} of ${file} (${e.message})`);
+                else {
+                    done(new Error(`${file} is corrupted (record ${i + 1}: ${e.message})`));
+                    return;
+                }
+            }
+        }
+
+        done(null, Object.keys(records).map(uuid => records[uuid]));
+    });
+};
+
+// Moves the current journal into the backups rotation
+const rotateSnapshots = (done) => {
+    const ignoreMissing = cb => err => cb(err && err.code !== 'ENOENT' ? err : null);
+    const older = [];
+    for (let i = config.taskSnapshots - 1; i >= 1; i--) older.push(i);
+
+    async.series([
+        cb => async.eachSeries(older, (i, cb) => fs.rename(snapshotFile(i), snapshotFile(i + 1), ignoreMissing(cb)), cb),
+        cb => {
+            // Copy (rather than move) so that a journal is always in place
+            if (config.taskSnapshots > 0) fs.copyFile(JOURNAL_FILE, snapshotFile(1), ignoreMissing(cb));
+            else cb();
+        }
+    ], done);
+};
+
+module.exports = {
+    // Loads the serialized tasks ([{constructorName, data}]).
+    // Tasks are read from the journal, or from the newest valid backup if the journal is corrupted.
+    // If there's no journal yet, tasks are read from the legacy tasks.json dump
+    // (they will be migrated to the journal at the next compaction).
+    // When config.restoreTasksFrom is set, tasks are read from that file instead.
+    load: function(done){
+        const finish = (file, records) => {
+            if (file !== JOURNAL_FILE) logger.info(`Restoring ${records.length} tasks from ${file}`);
+            appendedRecords = 0;
+            done(null, records);
+        };
+
+        if (config.restoreTasksFrom) {
+            readTasksFile(config.restoreTasksFrom, false, (err, records) => {
+                if (err) done(new Error(`Cannot restore tasks from ${config.restoreTasksFrom}: ${err.message}`));
+                else finish(config.restoreTasksFrom, records);
+            });
+            return;
+        }
+
+        const candidates = [JOURNAL_FILE];
+        for (let i = 1; i <= config.taskSnapshots; i++) candidates.push(snapshotFile(i));
+        candidates.push(LEGACY_DUMP_FILE);
+
+        let found = false;
+        async.detectSeries(candidates, (file, cb) => {
+            readTasksFile(file, false, (err, records) => {
+                if (err && err.code === 'ENOENT') cb(null, false);
+                else if (err) {
+                    found = true;
+                    logger.warn(`Could not load task list: ${err.message}`);
+                    cb(null, false);
+                } else {
+                    found = true;
+                    finish(file, records);
+                    cb(null, true);
+                }
+            });
+        }, (err, file) => {
+            if (file) return;
+            if (!found) done(null, []);
+            else {
+                // Nothing valid, salvage what we can
+                logger.warn(`No valid task list snapshot found, loading the readable records of ${JOURNAL_FILE}`);
+                readTasksFile(JOURNAL_FILE, true, (err, records) => {
+                    if (err || records.length === 0) done(new Error(`No valid task list found in ${Directories.data}. Use --restore-tasks-from to recover tasks from a snapshot.`));
+                    else finish(JOURNAL_FILE, records);
+                });
+            }
+        });
+    },
+
+    // Saves the state of a task
+    // @param record {Object} {constructorName, data} as returned by TaskManager
+    put: function(record){
+        append(JSON.stringify(Object.assign({ op: "put" }, record)));
+    },
+
+    // Forgets about a task
+    remove: function(uuid){
+        append(JSON.stringify({ op: "del", uuid }));
+    },
+
+    // Rewrites the journal so that it contains only the given records
+    compact: function(records, done){
+        const content = records.map(r => JSON.stringify(Object.assign({ op: "put" }, r)) + "\n").join("");
+
+        writeQueue.push(cb => {
+            async.series([
+                cb => rotateSnapshots(cb),
+                cb => utils.writeFileAtomic(JOURNAL_FILE, content, cb),
+                cb => {
+                    appendedRecords = 0;
+
+                    // Tasks have been migrated, keep the old dump around just in case
+                    fs.rename(LEGACY_DUMP_FILE, `${LEGACY_DUMP_FILE}.migrated`, err => {
+                        if (!err) logger.info(`Migrated tasks from ${LEGACY_DUMP_FILE} to ${JOURNAL_FILE}`);
+                        cb();
+                    });
+                }
+            ], err => {
+                compactionPending = false;
+                if (err) logger.error(`Could not compact task journal: ${err.message}`);
+                else logger.debug("Compacted task journal.");
+                cb();
+                if (done !== undefined) done(err);
+            });
+        });
+    },
+
+    // Sets a function that is called when the journal
+    // has grown enough that it should be compacted
+    onCompactionNeeded: function(callback){
+        compactionRequested = callback;
+    }
+};
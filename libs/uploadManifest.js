@@ -0,0 +1,142 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils');
+
+// Files of an upload folder that are not uploaded files
+const RESERVED = ["body.json", "images.sg"];
+const isReserved = name => RESERVED.indexOf(name) !== -1 || name.startsWith(".");
+
+// Checksums of uploaded files (file path --> {size, mtime, sha256}),
+// so that files are hashed only once
+const checksums = {};
+
+const checksum = (file, stats, cb) => {
+    const cached = checksums[file];
+    const mtime = stats.mtime.getTime();
+    if (cached && cached.size === stats.size && cached.mtime === mtime) cb(null, cached.sha256);
+    else {
+        utils.sha256(file, (err, digest) => {
+            if (!err) checksums[file] = { size: stats.size, mtime, sha256: digest };
+            cb(err, digest);
+        });
+    }
+};
+
+// A manifest lists the files that are expected for a task, as [{name, size, sha256}].
+// Uploaded files are verified against it and tasks are not created until all files are received.
+module.exports = {
+    // Parses a manifest (an array or a JSON encoded array).
+    // @return {Array} the manifest, or null if none was given. Throws on invalid manifests.
+    parse: function(manifest){
+        if (manifest === undefined || manifest === null || manifest === "") return null;
+
+        if (typeof manifest === "string") {
+            try {
+                manifest = JSON.parse(manifest);
+            } catch (e) {
+                throw new Error(`Invalid manifest: ${e.message}`);
+            }
+        }
+        if (!Array.isArray(manifest)) throw new Error("Invalid manifest: must be an array of {name, size, sha256}");
+
+        const names = {};
+        return manifest.map(entry => {
+            if (typeof entry !== "object" || entry === null) throw new Error("Invalid manifest: entries must be objects of the form {name, size, sha256}");
+
+            const { name, size } = entry;
+            const sha256 = typeof entry.sha256 === "string" ? entry.sha256.toLowerCase() : entry.sha256;
+            if (typeof name !== "string" || !name || /[\\/]/.test(name) || isReserved(name)) throw new Error(`Invalid manifest: invalid name ${JSON.stringify(name)}`);
+            if (names[name]) throw new Error(`Invalid manifest: ${name} is listed more than once`);
+            if (!Number.isInteger(size) || size < 0) throw new Error(`Invalid manifest: invalid size for ${name}`);
+            if (typeof sha256 !== "string" || !/^[0-9a-f]{64}$/.test(sha256)) throw new Error(`Invalid manifest: invalid sha256 for ${name}`);
+
+            names[name] = true;
+            return { name, size, sha256 };
+        });
+    },
+
+    // @return {Object} the entry of the manifest for name, or undefined
+    find: function(manifest, name){
+        return manifest.find(entry => entry.name === name);
+    },
+
+    // Verifies a file against its manifest entry
+    // @param cb {Function} callback(err, problem), problem describes the mismatch (null if the file matches)
+    verify: function(file, entry, cb){
+        fs.stat(file, (err, stats) => {
+            if (err) cb(err);
+            else if (stats.size !== entry.size) cb(null, `size is ${stats.size} bytes, expected ${entry.size}`);
+            else {
+                checksum(file, stats, (err, digest) => {
+                    if (err) cb(err);
+                    else cb(null, digest !== entry.sha256 ? "checksum mismatch" : null);
+                });
+            }
+        });
+    },
+
+    // Compares the files of an upload folder with the manifest (if any)
+    // @param cb {Function} callback(err, {received, missing, corrupt, unexpected}),
+    //      received, missing and unexpected are lists of filenames,
+    //      corrupt is a list of {name, error}
+    status: function(srcPath, manifest, cb){
+        fs.readdir(srcPath, (err, entries) => {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            const files = entries.filter(name => !isReserved(name)).sort();
+            const result = { received: [], missing: [], corrupt: [], unexpected: [] };
+            if (!manifest) {
+                result.received = files;
+                cb(null, result);
+                return;
+            }
+
+            result.unexpected = files.filter(name => !this.find(manifest, name));
+            async.eachSeries(manifest, (entry, cb) => {
+                if (files.indexOf(entry.name) === -1) {
+                    result.missing.push(entry.name);
+                    cb();
+                } else {
+                    this.verify(path.join(srcPath, entry.name), entry, (err, problem) => {
+                        if (err) cb(err);
+                        else {
+                            if (problem) result.corrupt.push({ name: entry.name, error: problem });
+                            else result.received.push(entry.name);
+                            cb();
+                        }
+                    });
+                }
+            }, err => cb(err, result));
+        });
+    },
+
+    // Drops the cached checksums of the files of an upload folder
+    forget: function(srcPath){
+        const prefix = path.join(srcPath, path.sep);
+        Object.keys(checksums).forEach(file => {
+            if (file.startsWith(prefix)) delete checksums[file];
+        });
+    }
+};
@@ -1,9 +1,18 @@
 "use strict";
 
+const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
 
+const hashFile = (file, algorithm, cb) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(file)
+        .on('error', cb)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => cb(null, hash.digest('hex')));
+};
+
 module.exports = {
     get: function(scope, prop, defaultValue){
         let parts = prop.split(".");
@@ -52,6 +61,43 @@ module.exports = {
         return JSON.parse(JSON.stringify(json));
     },
 
+    // Writes data to a temporary file, flushes it to disk and then
+    // moves it in place of file, so that file is never partially written
+    writeFileAtomic: function(file, data, cb){
+        const tmpFile = `${file}.tmp`;
+        fs.open(tmpFile, 'w', (err, fd) => {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            fs.writeFile(fd, data, err => {
+                const done = err => {
+                    fs.close(fd, closeErr => {
+                        err = err || closeErr;
+                        if (err) cb(err);
+                        else fs.rename(tmpFile, file, cb);
+                    });
+                };
+
+                if (err) done(err);
+                else fs.fsync(fd, done);
+            });
+        });
+    },
+
+    // Computes the SHA-256 checksum of a file
+    // @param cb {Function} callback(err, hex digest)
+    sha256: function(file, cb){
+        hashFile(file, 'sha256', cb);
+    },
+
+    // Computes the MD5 checksum of a file
+    // @param cb {Function} callback(err, hex digest)
+    md5: function(file, cb){
+        hashFile(file, 'md5', cb);
+    },
+
     tmpPath: function(extension = ".txt"){
         return path.join(os.tmpdir(), `nodeodm_${crypto.randomBytes(6).readUIntLE(0,6).toString(36)}${extension}`);
     }
@@ -0,0 +1,376 @@
+/*
+NodeODM App and REST API to access ODM.
+Copyright (C) 2016 NodeODM Contributors
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU Affero General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU Affero General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+const async = require('async');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('request');
+const uuidv4 = require('uuid/v4');
+const logger = require('./logger');
+const config = require('../config');
+const Directories = require('./Directories');
+const statusCodes = require('./statusCodes');
+const utils = require('./utils');
+
+// Each task has its own outbox file. Deliveries to the same URL
+// are made one at a time in the order they were queued, each URL
+// retries on its own so that a failing target doesn't hold up the others
+const OUTBOX_DIR = path.join(Directories.data, "webhooks");
+const HISTORY_SIZE = 100; // Number of completed deliveries to keep for each task
+const RETRY_DELAY = 5000; // ms, doubled after every failed attempt
+const MAX_RETRY_DELAY = 1000 * 60 * 10;
+const REQUEST_TIMEOUT = 1000 * 30;
+
+// uuid --> { deliveries, removed, queues, saving, dirty }
+// queues: url --> { sending, retryTimer }, only for URLs with pending deliveries
+let outboxes = {};
+
+// uuid --> { dateSent, progressSent, timer }
+// Progress notifications are coalesced, see notify()
+let progressThrottles = {};
+
+// uuid --> last status event notified, so that a status
+// that is set again (e.g. failed with an error message) is notified once
+let statusSent = {};
+
+const outboxFile = uuid => path.join(OUTBOX_DIR, `${uuid}.json`);
+
+const getOutbox = uuid => {
+    if (!outboxes[uuid]) outboxes[uuid] = { deliveries: [], removed: false, queues: {} };
+    return outboxes[uuid];
+};
+
+// Writes an outbox to disk. Writes for the same task are serialized.
+const save = uuid => {
+    const outbox = outboxes[uuid];
+    if (!outbox) return;
+    if (outbox.saving) {
+        outbox.dirty = true;
+        return;
+    }
+
+    outbox.saving = true;
+    utils.writeFileAtomic(outboxFile(uuid), JSON.stringify(outbox.deliveries), err => {
+        if (err) logger.warn(`Cannot save webhook outbox for ${uuid}: ${err.message}`);
+        outbox.saving = false;
+        if (outbox.dirty) {
+            outbox.dirty = false;
+            save(uuid);
+        }
+    });
+};
+
+// Drops an outbox once its task has been removed
+// and all of its deliveries have been attempted
+const release = uuid => {
+    const outbox = outboxes[uuid];
+    if (!outbox || !outbox.removed || Object.keys(outbox.queues).length > 0) return;
+    if (outbox.deliveries.find(d => d.status === "pending")) return;
+
+    const deleteFile = () => {
+        if (outbox.saving) setTimeout(deleteFile, 100);
+        else fs.unlink(outboxFile(uuid), err => {
+            if (err && err.code !== 'ENOENT') logger.warn(`Cannot remove webhook outbox for ${uuid}: ${err.message}`);
+        });
+    };
+
+    delete outboxes[uuid];
+    deleteFile();
+};
+
+// Event names sent for status changes (queued, running, failed, ...)
+const STATUS_EVENTS = Object.keys(statusCodes).map(k => k.toLowerCase());
+
+// Whether a webhook target wants to be notified of event
+const accepts = (target, event) => {
+    if (!target.events || target.events.length === 0) return true;
+    if (target.events.indexOf(event) !== -1) return true;
+
+    const isStatus = STATUS_EVENTS.indexOf(event) !== -1;
+    if (isStatus && target.events.indexOf("status") !== -1) return true;
+    if (!isStatus && event !== "progress" && target.events.indexOf("resource") !== -1) return true;
+    return false;
+};
+
+const sign = body => {
+    return "sha256=" + crypto.createHmac("sha256", config.webhookSecret).update(body).digest("hex");
+};
+
+const deliverNext = (uuid, url) => {
+    const outbox = outboxes[uuid];
+    if (!outbox) return;
+    const queue = outbox.queues[url] || (outbox.queues[url] = { sending: false, retryTimer: null });
+    if (queue.sending || queue.retryTimer) return;
+
+    const delivery = outbox.deliveries.find(d => d.status === "pending" && d.url === url);
+    if (!delivery) {
+        delete outbox.queues[url];
+        release(uuid);
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-NodeODM-Delivery': delivery.id
+    };
+    if (config.webhookSecret) headers['X-NodeODM-Signature'] = sign(body);
+
+    queue.sending = true;
+    request.post(delivery.url, { body, headers, timeout: REQUEST_TIMEOUT }, (error, response) => {
+        queue.sending = false;
+
+        const attempt = { date: new Date().getTime() };
+        if (response) attempt.statusCode = response.statusCode;
+        if (error) attempt.error = error.message;
+        delivery.attempts.push(attempt);
+
+        if (!error && response.statusCode >= 200 && response.statusCode < 300) {
+            delivery.status = "delivered";
+            logger.debug(`Webhook invoked: ${delivery.url}`);
+        } else if (delivery.attempts.length >= config.webhookMaxAttempts) {
+            delivery.status = "failed";
+            logger.warn(`Webhook invokation failed, will not retry: ${delivery.url}`);
+        } else {
+            const delay = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * Math.pow(2, delivery.attempts.length - 1));
+            logger.warn(`Webhook invokation failed, will retry in ${Math.round(delay / 1000)} seconds: ${delivery.url}`);
+            queue.retryTimer = setTimeout(() => {
+                queue.retryTimer = null;
+                deliverNext(uuid, url);
+            }, delay);
+        }
+
+        // Forget about the oldest completed deliveries
+        const completed = outbox.deliveries.filter(d => d.status !== "pending");
+        if (completed.length > HISTORY_SIZE) {
+            const drop = completed.slice(0, completed.length - HISTORY_SIZE);
+            outbox.deliveries = outbox.deliveries.filter(d => drop.indexOf(d) === -1);
+        }
+
+        save(uuid);
+        deliverNext(uuid, url);
+    });
+};
+
+// Starts the deliveries of every URL that has pending deliveries
+const deliverAll = uuid => {
+    const outbox = outboxes[uuid];
+    if (!outbox) return;
+
+    const urls = [];
+    outbox.deliveries.forEach(d => {
+        if (d.status === "pending" && urls.indexOf(d.url) === -1) urls.push(d.url);
+    });
+    if (urls.length === 0) release(uuid);
+    else urls.forEach(url => deliverNext(uuid, url));
+};
+
+module.exports = {
+    // Parses a webhook definition, which can be either a URL,
+    // a target object {url: "...", events: ["progress", "orthophoto", "failed", ...]}
+    // or an array of URLs and/or target objects (optionally serialized as JSON).
+    // Returns an array of targets, throws an error if the definition is invalid.
+    parseTargets: function(webhook){
+        if (!webhook) return [];
+
+        if (typeof webhook === "string") {
+            webhook = webhook.trim();
+            if (webhook[0] === "[" || webhook[0] === "{") {
+                try {
+                    webhook = JSON.parse(webhook);
+                } catch (e) {
+                    throw new Error(`Invalid webhook: ${e.message}`);
+                }
+            }
+        }
+        if (!Array.isArray(webhook)) webhook = [webhook];
+
+        return webhook.map(target => {
+            if (typeof target === "string") target = { url: target };
+            if (!target || typeof target.url !== "string" || target.url.length <= 3) {
+                throw new Error(`Invalid webhook: ${JSON.stringify(target)} does not have a valid url`);
+            }
+            if (target.events !== undefined && (!Array.isArray(target.events) || target.events.find(e => typeof e !== "string") !== undefined)) {
+                throw new Error(`Invalid webhook: events of ${target.url} must be an array of strings`);
+            }
+            return { url: target.url, events: target.events };
+        });
+    },
+
+    // Notifies the webhooks of a task (along with the node-wide webhooks set via --webhook)
+    // that accept event. event is either "progress", a status (queued, running, completed, failed, canceled, paused)
+    // or a resource type (pointcloud, orthophoto, dsm, ...).
+    notify: function(uuid, taskWebhook, event, payload){
+        let targets = [];
+        [taskWebhook, config.webhook].forEach(webhook => {
+            try {
+                targets = targets.concat(this.parseTargets(webhook));
+            } catch (e) {
+                logger.warn(`Cannot notify webhook of ${uuid}: ${e.message}`);
+            }
+        });
+
+        const sendNow = () => {
+            targets.forEach(target => {
+                if (accepts(target, event)) this.send(uuid, target.url, payload);
+            });
+        };
+        if (targets.length === 0) return;
+
+        if (STATUS_EVENTS.indexOf(event) !== -1) {
+            if (statusSent[uuid] === event) return;
+            statusSent[uuid] = event;
+        }
+
+        // Progress notifications are sent at most once every config.webhookProgressInterval
+        // seconds and only when progress has moved by config.webhookProgressStep percent
+        // (reaching 100 is always notified). Notifications that arrive too early are coalesced:
+        // only the latest is sent once the interval has elapsed. Any other event goes out
+        // right away, after the pending progress notification (if any).
+        const throttle = progressThrottles[uuid] || (progressThrottles[uuid] = { dateSent: 0, progressSent: null, timer: null, pending: null });
+
+        if (event !== "progress") {
+            if (throttle.timer) {
+                clearTimeout(throttle.timer);
+                throttle.pending();
+            }
+            sendNow();
+            return;
+        }
+
+        const send = () => {
+            throttle.timer = null;
+            throttle.pending = null;
+            throttle.dateSent = new Date().getTime();
+            throttle.progressSent = payload.progress;
+            sendNow();
+        };
+
+        if (throttle.timer) {
+            throttle.pending = send;
+            return;
+        }
+
+        const moved = Math.abs(payload.progress - throttle.progressSent);
+        if (throttle.progressSent !== null && moved < config.webhookProgressStep && !(payload.progress === 100 && moved > 0)) return;
+
+        const wait = throttle.dateSent + config.webhookProgressInterval * 1000 - new Date().getTime();
+        if (wait <= 0) send();
+        else {
+            throttle.pending = send;
+            throttle.timer = setTimeout(() => throttle.pending(), wait);
+        }
+    },
+
+    // Name of the webhook event that reports a status code
+    statusEvent: function(code){
+        return STATUS_EVENTS[Object.values(statusCodes).indexOf(code)];
+    },
+
+    // Loads the outboxes left on disk and
+    // resumes the deliveries that are still pending
+    initialize: function(done){
+        async.series([
+            cb => {
+                try {
+                    this.parseTargets(config.webhook);
+                    cb();
+                } catch (e) {
+                    cb(new Error(`--webhook: ${e.message}`));
+                }
+            },
+            cb => fs.mkdir(OUTBOX_DIR, { recursive: true }, cb),
+            cb => fs.readdir(OUTBOX_DIR, (err, entries) => {
+                if (err) cb(err);
+                else {
+                    async.eachSeries(entries.filter(e => path.extname(e) === ".json"), (entry, cb) => {
+                        const uuid = path.basename(entry, ".json");
+                        fs.readFile(path.join(OUTBOX_DIR, entry), 'utf8', (err, data) => {
+                            if (err) cb(err);
+                            else {
+                                try {
+                                    getOutbox(uuid).deliveries = JSON.parse(data);
+                                } catch (e) {
+                                    logger.warn(`Webhook outbox ${entry} is corrupted (${e.message}), ignoring`);
+                                }
+                                cb();
+                            }
+                        });
+                    }, cb);
+                }
+            })
+        ], err => {
+            if (!err) {
+                const pending = Object.keys(outboxes).filter(uuid => outboxes[uuid].deliveries.find(d => d.status === "pending"));
+                if (pending.length > 0) logger.info(`Resuming webhook deliveries for ${pending.length} tasks`);
+                Object.keys(outboxes).forEach(deliverAll);
+            }
+            done(err);
+        });
+    },
+
+    // Queues a delivery of payload (JSON) to url on behalf of a task.
+    // Returns the ID of the delivery, which is sent
+    // in the X-NodeODM-Delivery header.
+    send: function(uuid, url, payload){
+        const delivery = {
+            id: uuidv4(),
+            url,
+            payload,
+            dateCreated: new Date().getTime(),
+            status: "pending",
+            attempts: []
+        };
+
+        getOutbox(uuid).deliveries.push(delivery);
+        save(uuid);
+        deliverNext(uuid, url);
+
+        return delivery.id;
+    },
+
+    // Deliveries (pending and recently completed) of a task,
+    // oldest first
+    getDeliveries: function(uuid){
+        return outboxes[uuid] ? outboxes[uuid].deliveries : [];
+    },
+
+    // Called when a task is removed, its outbox is deleted
+    // after the remaining deliveries have been attempted
+    removeTask: function(uuid){
+        if (progressThrottles[uuid]) {
+            clearTimeout(progressThrottles[uuid].timer);
+            delete progressThrottles[uuid];
+        }
+        delete statusSent[uuid];
+        if (outboxes[uuid]) {
+            outboxes[uuid].removed = true;
+            release(uuid);
+        }
+    },
+
+    // Removes the outboxes of tasks that no longer exist
+    // (maybe as a cause of an abrupt exit)
+    // @param taskExists {Function} (uuid) => Boolean
+    removeOrphanedOutboxes: function(taskExists){
+        Object.keys(outboxes).forEach(uuid => {
+            if (!taskExists(uuid)) this.removeTask(uuid);
+        });
+    }
+};
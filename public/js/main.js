@@ -239,7 +239,8 @@ $(function() {
         RUNNING: 20,
         FAILED: 30,
         COMPLETED: 40,
-        CANCELED: 50
+        CANCELED: 50,
+        PAUSED: 60
     };
 
     function Task(uuid) {
@@ -273,13 +274,19 @@ $(function() {
             50: {
                 descr: "Canceled",
                 icon: "glyphicon-ban-circle"
+            },
+            60: {
+                descr: "Paused",
+                icon: "glyphicon-pause"
             }
         };
 
         this.statusDescr = ko.pureComputed(function() {
             if (this.info().status && this.info().status.code) {
                 if (statusCodes[this.info().status.code]) {
-                    return statusCodes[this.info().status.code].descr;
+                    var descr = statusCodes[this.info().status.code].descr;
+                    if (this.info().status.waitingFor) descr += " (waiting for " + this.info().status.waitingFor + ")";
+                    return descr;
                 } else return "Unknown (Status Code: " + this.info().status.code + ")";
             } else return "-";
         }, this);
@@ -292,7 +299,15 @@ $(function() {
         }, this);
         this.showCancel = ko.pureComputed(function() {
             return this.info().status &&
-                (this.info().status.code === codes.QUEUED || this.info().status.code === codes.RUNNING);
+                (this.info().status.code === codes.QUEUED || this.info().status.code === codes.RUNNING || this.info().status.code === codes.PAUSED);
+        }, this);
+        this.showPause = ko.pureComputed(function() {
+            return this.info().status &&
+                (this.info().status.code === codes.RUNNING);
+        }, this);
+        this.showResume = ko.pureComputed(function() {
+            return this.info().status &&
+                (this.info().status.code === codes.PAUSED);
         }, this);
         this.showRestart = ko.pureComputed(function() {
             return this.info().status &&
@@ -317,6 +332,7 @@ $(function() {
 
                 if (json.processingTime && json.processingTime !== -1) {
                     self.timeElapsed(hoursMinutesSecs(json.processingTime));
+                    self.processingStartedAt = new Date().getTime() - json.processingTime;
                 }
                 if (json.status && json.status.code && [codes.COMPLETED, codes.FAILED, codes.CANCELED].indexOf(json.status.code) !== -1){
                     self.stopRefreshingInfo();
@@ -367,42 +383,49 @@ $(function() {
                 });
     };
     Task.prototype.viewOutput = function() {
-        var self = this;
-
-        function fetchOutput() {
-            var url = "/task/" + self.uuid + "/output";
-            $.get(url, { line: -9, token: token })
-                .done(function(output) {
-                    if (output.length === 0){
-                        output = JSON.parse(localStorage.getItem(self.uuid + '_output') || []);
-                    }
-                    self.output(output);
-                })
-                .fail(function() {
-                    self.info({ error: url + " is unreachable." });
-                });
+        if (this.output().length === 0){
+            this.output(JSON.parse(localStorage.getItem(this.uuid + '_output') || '[]').slice(-9));
         }
-        this.fetchOutputInterval = setInterval(fetchOutput, 5000);
-        fetchOutput();
-
         this.viewingOutput(true);
     };
     Task.prototype.hideOutput = function() {
-        if (this.fetchOutputInterval) clearInterval(this.fetchOutputInterval);
         this.viewingOutput(false);
     };
     Task.prototype.startRefreshingInfo = function() {
         var self = this;
         this.stopRefreshingInfo();
         this.refreshInfo();
-        this.refreshInterval = setInterval(function() {
+
+        // Updates are pushed by the server, we only need
+        // to reload the task's info when its status changes
+        this.events = new EventSource("/task/" + this.uuid + "/events?line=-9&token=" + token);
+        this.events.addEventListener("status", function() {
             self.refreshInfo();
-        }, 2000);
+        });
+        this.events.addEventListener("progress", function(e) {
+            var info = self.info();
+            info.progress = JSON.parse(e.data);
+            self.info(info);
+        });
+        this.events.addEventListener("output", function(e) {
+            self.output.push(JSON.parse(e.data));
+            if (self.output().length > 9) self.output.shift();
+        });
+
+        this.timeInterval = setInterval(function() {
+            if (self.info().status && self.info().status.code === codes.RUNNING && self.processingStartedAt) {
+                self.timeElapsed(hoursMinutesSecs(new Date().getTime() - self.processingStartedAt));
+            }
+        }, 1000);
     };
     Task.prototype.stopRefreshingInfo = function() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
-            this.refreshInterval = null;
+        if (this.events) {
+            this.events.close();
+            this.events = null;
+        }
+        if (this.timeInterval) {
+            clearInterval(this.timeInterval);
+            this.timeInterval = null;
         }
     };
     Task.prototype.remove = function() {
@@ -437,11 +460,14 @@ $(function() {
         }
     };
 
+    // url can also be a function that takes the task
+    // and returns the url to call
     function genApiCall(url, onSuccess) {
         return function() {
             var self = this;
+            var taskUrl = typeof url === "function" ? url(this) : url;
 
-            $.post(url, {
+            $.post(taskUrl, {
                     uuid: this.uuid
                 })
                 .done(function(json) {
@@ -454,7 +480,7 @@ $(function() {
                     }
                 })
                 .fail(function() {
-                    self.info({ error: url + " is unreachable." });
+                    self.info({ error: taskUrl + " is unreachable." });
                     self.stopRefreshingInfo();
                 });
         };
@@ -463,6 +489,12 @@ $(function() {
     Task.prototype.restart = genApiCall("/task/restart?token=" + token, function(task) {
         task.resetOutput();
     });
+    Task.prototype.pause = genApiCall(function(task) {
+        return "/task/" + task.uuid + "/pause?token=" + token;
+    });
+    Task.prototype.resume = genApiCall(function(task) {
+        return "/task/" + task.uuid + "/resume?token=" + token;
+    });
     Task.prototype.downloadLink = function(){
         return "/task/" + this.uuid + "/download/all.zip?token=" + token;
     };